@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "listingId" INTEGER,
+ADD COLUMN     "orderId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Conversation_listingId_idx" ON "Conversation"("listingId");
+
+-- CreateIndex
+CREATE INDEX "Conversation_orderId_idx" ON "Conversation"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_listingId_fkey" FOREIGN KEY ("listingId") REFERENCES "Listing"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "acceptedAt" TIMESTAMP(3),
+ADD COLUMN     "buyerId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "listingId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Listing_buyerId_idx" ON "Listing"("buyerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_listingId_key" ON "Order"("listingId");
+
+-- AddForeignKey
+ALTER TABLE "Listing" ADD CONSTRAINT "Listing_buyerId_fkey" FOREIGN KEY ("buyerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_listingId_fkey" FOREIGN KEY ("listingId") REFERENCES "Listing"("id") ON DELETE SET NULL ON UPDATE CASCADE;
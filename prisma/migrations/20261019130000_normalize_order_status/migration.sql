@@ -0,0 +1,2 @@
+-- Orders used to be marked COLLECTED once picked up; the status flow now calls this IN_PROGRESS
+UPDATE "Order" SET "status" = 'IN_PROGRESS' WHERE "status" = 'COLLECTED';
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "CollectionJob" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "collectorId" INTEGER NOT NULL,
+    "warehouseId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'ASSIGNED',
+    "notes" TEXT,
+    "assignedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "pickedUpAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CollectionJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollectionJob_orderId_key" ON "CollectionJob"("orderId");
+
+-- CreateIndex
+CREATE INDEX "CollectionJob_collectorId_status_idx" ON "CollectionJob"("collectorId", "status");
+
+-- CreateIndex
+CREATE INDEX "CollectionJob_warehouseId_status_idx" ON "CollectionJob"("warehouseId", "status");
+
+-- AddForeignKey
+ALTER TABLE "CollectionJob" ADD CONSTRAINT "CollectionJob_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CollectionJob" ADD CONSTRAINT "CollectionJob_collectorId_fkey" FOREIGN KEY ("collectorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CollectionJob" ADD CONSTRAINT "CollectionJob_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
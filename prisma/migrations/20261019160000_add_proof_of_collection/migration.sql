@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "actualWeight" DOUBLE PRECISION;
+
+-- AlterTable: give jobs assigned before this change a code of their own
+ALTER TABLE "CollectionJob" ADD COLUMN     "actualWeight" DOUBLE PRECISION,
+ADD COLUMN     "confirmationCode" TEXT NOT NULL DEFAULT lpad(floor(random() * 1000000)::text, 6, '0'),
+ADD COLUMN     "confirmedAt" TIMESTAMP(3),
+ADD COLUMN     "estimatedWeight" DOUBLE PRECISION,
+ADD COLUMN     "photos" TEXT[],
+ADD COLUMN     "weightVariance" DOUBLE PRECISION,
+ADD COLUMN     "weightVariancePercent" DOUBLE PRECISION;
+
+ALTER TABLE "CollectionJob" ALTER COLUMN "confirmationCode" DROP DEFAULT;
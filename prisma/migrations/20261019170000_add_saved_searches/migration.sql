@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "SavedSearch" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT,
+    "materialType" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "radiusKm" DOUBLE PRECISION,
+    "minWeight" DOUBLE PRECISION,
+    "search" TEXT,
+    "notifyEmail" BOOLEAN NOT NULL DEFAULT true,
+    "notifyInApp" BOOLEAN NOT NULL DEFAULT false,
+    "lastNotifiedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SavedSearch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SavedSearch_userId_idx" ON "SavedSearch"("userId");
+
+-- CreateIndex
+CREATE INDEX "SavedSearch_materialType_idx" ON "SavedSearch"("materialType");
+
+-- AddForeignKey
+ALTER TABLE "SavedSearch" ADD CONSTRAINT "SavedSearch_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
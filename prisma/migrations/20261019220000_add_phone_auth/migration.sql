@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "phone" TEXT,
+ADD COLUMN     "phoneVerified" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Otp" ADD COLUMN     "phone" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_phone_key" ON "User"("phone");
+
+-- CreateIndex
+CREATE INDEX "Otp_phone_idx" ON "Otp"("phone");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Otp" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Otp_email_idx" ON "Otp"("email");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "WarehouseInventory" ADD COLUMN     "deletedAt" TIMESTAMP(3);
@@ -0,0 +1,7 @@
+-- Remove one-time codes already written to the outbox; unsent ones can no longer be delivered
+UPDATE "EmailOutbox"
+SET "text" = '[redacted: contains a one-time code]',
+    "html" = NULL,
+    "status" = CASE WHEN "status" IN ('PENDING', 'SENDING') THEN 'DEAD' ELSE "status" END,
+    "lastError" = CASE WHEN "status" IN ('PENDING', 'SENDING') THEN 'One-time code expired before it could be sent' ELSE "lastError" END
+WHERE "template" IN ('OTP', 'PASSWORD_RESET');
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "overCapacityNotifiedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "WarehouseInventory" ADD COLUMN     "lowStockNotifiedAt" TIMESTAMP(3);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "weeklySummarySentAt" TIMESTAMP(3);
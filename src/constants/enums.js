@@ -15,7 +15,8 @@ export const OrderStatus = {
 
 export const PaymentMethod = {
     COD: 'COD',
-    ONLINE: 'ONLINE'
+    ONLINE: 'ONLINE',
+    STRIPE: 'STRIPE'
 };
 
 export const UserRole = {
@@ -51,3 +52,63 @@ export const TransactionStatus = {
     COMPLETED: 'COMPLETED',
     CANCELLED: 'CANCELLED'
 };
+
+export const CollectionJobStatus = {
+    ASSIGNED: 'ASSIGNED',
+    PICKED_UP: 'PICKED_UP',
+    DELIVERED: 'DELIVERED',
+    CANCELLED: 'CANCELLED'
+};
+
+export const InventoryMovementType = {
+    INFLOW: 'INFLOW',
+    OUTFLOW: 'OUTFLOW',
+    ADJUSTMENT: 'ADJUSTMENT',
+    LOSS: 'LOSS'
+};
+
+export const ExpenseCategory = {
+    OPERATIONAL: 'OPERATIONAL',
+    EMPLOYEE: 'EMPLOYEE',
+    TRANSPORTATION: 'TRANSPORTATION',
+    RENT: 'RENT',
+    UTILITIES: 'UTILITIES',
+    PACKAGING: 'PACKAGING',
+    COLLECTOR: 'COLLECTOR'
+};
+
+export const FinancialTransactionType = {
+    REVENUE: 'REVENUE',
+    EXPENSE: 'EXPENSE',
+    REFUND: 'REFUND'
+};
+
+export const NotificationType = {
+    KYC_APPROVED: 'KYC_APPROVED',
+    KYC_REJECTED: 'KYC_REJECTED',
+    ROLE_UPGRADED: 'ROLE_UPGRADED',
+    ORDER_STATUS_CHANGED: 'ORDER_STATUS_CHANGED',
+    NEW_MESSAGE: 'NEW_MESSAGE',
+    SAVED_SEARCH_MATCH: 'SAVED_SEARCH_MATCH'
+};
+
+export const EmailTemplate = {
+    OTP: 'OTP',
+    PASSWORD_RESET: 'PASSWORD_RESET',
+    KYC_APPROVED: 'KYC_APPROVED',
+    KYC_REJECTED: 'KYC_REJECTED',
+    ORDER_UPDATE: 'ORDER_UPDATE',
+    WEEKLY_SUMMARY: 'WEEKLY_SUMMARY'
+};
+
+export const Locale = {
+    EN: 'en',
+    UR: 'ur'
+};
+
+export const EmailStatus = {
+    PENDING: 'PENDING',
+    SENDING: 'SENDING',
+    SENT: 'SENT',
+    DEAD: 'DEAD'
+};
@@ -1,11 +1,30 @@
 import { PrismaClient } from "@prisma/client";
 import { logger } from "../utils/logger.js";
-import { UserRole, VerificationStatus, KycStage } from "../constants/enums.js";
+import { UserRole, VerificationStatus, KycStage, TransactionStatus, NotificationType, EmailTemplate, Locale, EmailStatus } from "../constants/enums.js";
+import { notify } from "../services/notificationService.js";
+import { renderEmail, listEmailTemplates } from "../services/emailService.js";
+import { queueTemplatedEmail, retryEmail } from "../services/emailQueueService.js";
+import { EMAIL_TEMPLATES } from "../templates/emailTemplates.js";
 import { sendSuccess, sendPaginated, sendError } from "../utils/responseHelper.js";
 import { getPaginationParams, buildSearchFilter } from "../utils/queryHelper.js";
 
 const prisma = new PrismaClient();
 
+// KYC result emails should not fail the admin action
+async function sendKycEmail(user, template, vars) {
+  if (!user.email) return;
+  try {
+    await queueTemplatedEmail({
+      to: user.email,
+      template,
+      locale: user.locale,
+      vars: { name: user.name || user.businessName || user.companyName || user.email, ...vars }
+    });
+  } catch (err) {
+    logger.error(`Failed to queue ${template} email to user ${user.id}: ${err.message}`);
+  }
+}
+
 export async function getPendingKYCUsers(req, res) {
   try {
     const users = await prisma.user.findMany({
@@ -66,7 +85,12 @@ export async function approveKYC(req, res) {
       }
     });
 
-
+    if (updateData.role) {
+      await notify(user.id, NotificationType.ROLE_UPGRADED, { role: updateData.role, previousRole: user.role });
+    } else {
+      await notify(user.id, NotificationType.KYC_APPROVED, { role: user.role });
+    }
+    await sendKycEmail(user, EmailTemplate.KYC_APPROVED, { role: updateData.role || user.role });
 
     sendSuccess(res, "User approved successfully");
   } catch (err) {
@@ -104,7 +128,8 @@ export async function rejectKYC(req, res) {
       }
     });
 
-
+    await notify(user.id, NotificationType.KYC_REJECTED, { reason });
+    await sendKycEmail(user, EmailTemplate.KYC_REJECTED, { reason });
 
     sendSuccess(res, "User rejected successfully");
   } catch (err) {
@@ -218,7 +243,10 @@ export async function getDashboardStats(req, res) {
       prisma.user.count(),
       prisma.item.count(),
       prisma.transaction.count(),
-      prisma.transaction.aggregate({ _sum: { totalAmount: true } })
+      prisma.transaction.aggregate({
+        where: { status: TransactionStatus.COMPLETED },
+        _sum: { totalAmount: true }
+      })
     ]);
 
     sendSuccess(res, "Dashboard stats fetched", {
@@ -231,3 +259,107 @@ export async function getDashboardStats(req, res) {
     sendError(res, "Failed to fetch dashboard stats", err);
   }
 }
+
+/**
+ * List the transactional email templates with their variables and locales
+ * GET /api/admin/email-templates
+ */
+export async function getEmailTemplates(req, res) {
+  try {
+    sendSuccess(res, "Email templates fetched", listEmailTemplates());
+  } catch (err) {
+    sendError(res, "Failed to fetch email templates", err);
+  }
+}
+
+/**
+ * Render a template with its sample values; query params override variables
+ * GET /api/admin/email-templates/:name/preview?locale=ur&format=html
+ */
+export async function previewEmailTemplate(req, res) {
+  try {
+    const { name } = req.params;
+    const { locale = Locale.EN, format, ...overrides } = req.query;
+
+    const template = EMAIL_TEMPLATES[name];
+    if (!template) return sendError(res, "Email template not found", null, 404);
+
+    const vars = { ...template.sample };
+    for (const key of template.variables) {
+      if (overrides[key] !== undefined) vars[key] = overrides[key];
+    }
+
+    const rendered = renderEmail(name, vars, locale);
+
+    if (format === "html") {
+      return res.type("html").send(rendered.html);
+    }
+
+    sendSuccess(res, "Email template rendered", { template: name, variables: vars, ...rendered });
+  } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
+    sendError(res, "Failed to render email template", err);
+  }
+}
+
+/**
+ * Outgoing emails by status, dead-lettered ones by default, with counts per status
+ * GET /api/admin/emails?status=DEAD
+ */
+export async function getEmailOutbox(req, res) {
+  try {
+    const { status = EmailStatus.DEAD, to, page = 1, limit = 20 } = req.query;
+
+    if (!Object.values(EmailStatus).includes(status)) {
+      return sendError(res, `Status must be one of ${Object.values(EmailStatus).join(", ")}`, null, 400);
+    }
+
+    const where = { status };
+    if (to) where.to = { contains: to, mode: "insensitive" };
+
+    const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
+
+    const [emails, totalCount, byStatus] = await Promise.all([
+      prisma.emailOutbox.findMany({
+        where,
+        orderBy: { updatedAt: "desc" },
+        skip,
+        take,
+        omit: { text: true, html: true, secretBody: true }
+      }),
+      prisma.emailOutbox.count({ where }),
+      prisma.emailOutbox.groupBy({ by: ["status"], _count: { _all: true } })
+    ]);
+
+    const counts = Object.fromEntries(Object.values(EmailStatus).map(s => [s, 0]));
+    for (const row of byStatus) counts[row.status] = row._count._all;
+
+    res.json({
+      success: true,
+      data: emails,
+      counts,
+      pagination: {
+        total: totalCount,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(totalCount / limitNum)
+      }
+    });
+  } catch (err) {
+    sendError(res, "Failed to fetch emails", err);
+  }
+}
+
+/**
+ * Requeue a dead-lettered email
+ * POST /api/admin/emails/:id/retry
+ */
+export async function retryFailedEmail(req, res) {
+  try {
+    const email = await retryEmail(parseInt(req.params.id));
+    sendSuccess(res, "Email queued for retry", email);
+  } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
+    sendError(res, "Failed to retry email", err);
+  }
+}
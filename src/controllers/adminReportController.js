@@ -35,13 +35,13 @@ export const getSystemOverview = async (req, res) => {
             where: { status: OrderStatus.COMPLETED }
         });
 
-        // Total weight recycled (completed listings)
+        // Total weight recycled (completed listings, weighed quantity once picked up)
         const completedListingsData = await prisma.listing.findMany({
             where: { status: ListingStatus.COMPLETED },
-            select: { estimatedWeight: true }
+            select: { estimatedWeight: true, actualWeight: true }
         });
         const totalWeightRecycled = completedListingsData.reduce(
-            (sum, listing) => sum + listing.estimatedWeight,
+            (sum, listing) => sum + (listing.actualWeight ?? listing.estimatedWeight),
             0
         );
 
@@ -120,7 +120,8 @@ export const getMaterialBreakdown = async (req, res) => {
             where,
             select: {
                 materialType: true,
-                estimatedWeight: true
+                estimatedWeight: true,
+                actualWeight: true
             }
         });
 
@@ -129,7 +130,7 @@ export const getMaterialBreakdown = async (req, res) => {
                 acc[listing.materialType] = { count: 0, weight: 0 };
             }
             acc[listing.materialType].count += 1;
-            acc[listing.materialType].weight += listing.estimatedWeight;
+            acc[listing.materialType].weight += listing.actualWeight ?? listing.estimatedWeight;
             return acc;
         }, {});
 
@@ -173,21 +174,29 @@ export const getUserActivity = async (req, res) => {
             by: ['userId'],
             where: { status: ListingStatus.COMPLETED },
             _count: { id: true },
-            _sum: { estimatedWeight: true },
             orderBy: { _count: { id: 'desc' } },
             take: parseInt(limit)
         });
 
+        // Weighed quantity once picked up, so sum per listing rather than in SQL
+        const sellerListings = await prisma.listing.findMany({
+            where: { status: ListingStatus.COMPLETED, userId: { in: topSellers.map(s => s.userId) } },
+            select: { userId: true, estimatedWeight: true, actualWeight: true }
+        });
+
         const topSellersWithInfo = await Promise.all(
             topSellers.map(async (seller) => {
                 const user = await prisma.user.findUnique({
                     where: { id: seller.userId },
                     select: { id: true, name: true, email: true, role: true }
                 });
+                const totalWeight = sellerListings
+                    .filter(l => l.userId === seller.userId)
+                    .reduce((sum, l) => sum + (l.actualWeight ?? l.estimatedWeight), 0);
                 return {
                     user,
                     listingsCount: seller._count.id,
-                    totalWeight: parseFloat((seller._sum.estimatedWeight || 0).toFixed(2))
+                    totalWeight: parseFloat(totalWeight.toFixed(2))
                 };
             })
         );
@@ -242,7 +251,8 @@ export const getTimeSeries = async (req, res) => {
             select: {
                 createdAt: true,
                 status: true,
-                estimatedWeight: true
+                estimatedWeight: true,
+                actualWeight: true
             }
         });
 
@@ -254,7 +264,7 @@ export const getTimeSeries = async (req, res) => {
             acc[month].total += 1;
             if (listing.status === ListingStatus.COMPLETED) {
                 acc[month].completed += 1;
-                acc[month].weight += listing.estimatedWeight;
+                acc[month].weight += listing.actualWeight ?? listing.estimatedWeight;
             }
             return acc;
         }, {});
@@ -372,7 +382,7 @@ export const exportSystemReport = async (req, res) => {
                 orderBy: { createdAt: 'desc' }
             });
 
-            csv = 'ID,User Name,User Email,User Role,Material,Weight (kg),Status,Created At\n';
+            csv = 'ID,User Name,User Email,User Role,Material,Weight (kg),Actual Weight (kg),Status,Created At\n';
             csv += listings.map(l =>
                 [
                     l.id,
@@ -381,6 +391,7 @@ export const exportSystemReport = async (req, res) => {
                     l.user?.role || 'N/A',
                     l.materialType,
                     l.estimatedWeight,
+                    l.actualWeight ?? '',
                     l.status,
                     new Date(l.createdAt).toISOString()
                 ].join(',')
@@ -3,8 +3,10 @@ import { PrismaClient } from "@prisma/client";
 import bcrypt from "bcrypt";
 import fs from "fs/promises";
 import cloudinary from "../config/cloudinary.js";
-import { sendEmail } from "../services/emailService.js";
-import { createOtpForUser, verifyOtp } from "../services/otpService.js";
+import { SUPPORTED_LOCALES } from "../services/emailService.js";
+import { queueTemplatedEmail } from "../services/emailQueueService.js";
+import { createOtpForUser, createOtpForPhone, verifyOtp, assertCanSendOtp, invalidateOtps } from "../services/otpService.js";
+import { normalizePhone, sendSms } from "../services/smsService.js";
 import {
   signAccessToken,
   signRefreshToken,
@@ -14,7 +16,7 @@ import {
 } from "../services/tokenService.js";
 import { extractTextFromUrl, extractCNIC, extractNTN } from "../services/ocrService.js";
 import { logger } from "../utils/logger.js";
-import { UserRole, VerificationStatus, KycStage } from "../constants/enums.js";
+import { UserRole, VerificationStatus, KycStage, EmailTemplate, Locale } from "../constants/enums.js";
 import { sendSuccess, sendError } from "../utils/responseHelper.js";
 
 const prisma = new PrismaClient();
@@ -59,6 +61,80 @@ function validateRequest(req, res) {
   return true;
 }
 
+const otpTtlMinutes = () => parseInt(process.env.OTP_TTL_MINUTES || "15");
+
+// Queue the OTP email in the given language, falling back to English
+function sendOtpEmail(to, otp, locale, template = EmailTemplate.OTP) {
+  return queueTemplatedEmail({
+    to,
+    template,
+    locale,
+    vars: { otp, expiresInMinutes: otpTtlMinutes() },
+  });
+}
+
+// Responds for accounts that may not log in yet; returns true when it did
+function sendAccountStatusResponse(res, user) {
+  // Skip verification checks for admin users
+  if (user.role === UserRole.ADMIN) return false;
+
+  // Check Verification Status
+  if (user.verificationStatus === VerificationStatus.BLOCKED) {
+    sendError(res, "Account blocked", null, 403);
+    return true;
+  }
+
+  if (user.verificationStatus === VerificationStatus.REJECTED) {
+    sendSuccess(res, "Account rejected", {
+      verificationStatus: VerificationStatus.REJECTED,
+      rejectionReason: user.rejectionReason,
+      kycStage: user.kycStage,
+      role: user.role
+    });
+    return true;
+  }
+
+  if (user.verificationStatus === VerificationStatus.PENDING && user.role !== UserRole.INDIVIDUAL) {
+    sendSuccess(res, "Account pending verification", {
+      verificationStatus: VerificationStatus.PENDING,
+      kycStage: user.kycStage,
+      role: user.role
+    });
+    return true;
+  }
+
+  // Check Email Verification (for individuals mostly, but good for all); phone-only sellers verify by SMS
+  if (!user.emailVerified && !user.phoneVerified && user.role === UserRole.INDIVIDUAL) {
+    sendError(res, "Email not verified", null, 403);
+    return true;
+  }
+
+  return false;
+}
+
+async function sendLoginResponse(res, user, action = "LOGIN") {
+  // Generate Tokens
+  const accessToken = signAccessToken(user);
+  const refreshToken = signRefreshToken(user);
+  await saveRefreshToken(user.id, refreshToken);
+
+  await prisma.activityLog.create({
+    data: { userId: user.id, actorRole: user.role, action },
+  });
+
+  sendSuccess(res, "Login successful", {
+    accessToken,
+    refreshToken,
+    user: safeUserResponse(user),
+    verificationStatus: user.verificationStatus,
+    kycStage: user.kycStage
+  });
+}
+
+function sendOtpSms(phone, otp) {
+  return sendSms(phone, `Your RecyConnect code is ${otp}. It expires in ${otpTtlMinutes()} minutes.`);
+}
+
 function safeUserResponse(user) {
   return {
     id: user.id,
@@ -70,6 +146,9 @@ function safeUserResponse(user) {
     businessName: user.businessName,
     companyName: user.companyName,
     emailVerified: user.emailVerified,
+    phone: user.phone,
+    phoneVerified: user.phoneVerified,
+    locale: user.locale,
     address: user.address,
     city: user.city,
     contactNo: user.contactNo,
@@ -89,6 +168,7 @@ export async function register(req, res) {
 
     const { role, password, name, businessName, companyName, address, contactNo } = req.body;
     let { email } = req.body;
+    const locale = SUPPORTED_LOCALES.includes(req.body.locale) ? req.body.locale : Locale.EN;
     
     // Sanitize
     email = email?.toLowerCase().trim();
@@ -105,6 +185,9 @@ export async function register(req, res) {
       return sendError(res, "User already exists", null, 400);
     }
 
+    // Registering again re-sends the code, so it is subject to the resend limits
+    await assertCanSendOtp(email, "email_verification");
+
     if (req.body.cnic) {
       const existingCnic = await prisma.user.findUnique({ where: { cnic: req.body.cnic } });
       if (existingCnic) {
@@ -173,33 +256,25 @@ export async function register(req, res) {
       role,
       address,
       contactNo,
+      locale,
       profileImage: profileImageUrl,
       documents: documentsData,
       cnic: req.body.cnic, // Store CNIC in metadata
       // Don't store verificationStatus/kycStage - they will be set to VERIFIED after OTP
     };
 
-    // 8. Delete any existing unused OTPs for this email (from previous attempts)
-    await prisma.otp.deleteMany({
-      where: {
-        email,
-        purpose: "email_verification",
-        used: false,
-      }
-    });
+    // 8. Retire any existing unused OTPs for this email (from previous attempts)
+    await invalidateOtps(email, "email_verification");
 
     // 9. Create OTP with registration metadata (NO user created yet)
     const otp = await createOtpForUser(null, "email_verification", email, registrationData);
 
     // 10. Send OTP email
-    await sendEmail({
-      to: email,
-      subject: "Verify your RecyConnect email",
-      text: `Your OTP: ${otp}`,
-    });
+    await sendOtpEmail(email, otp, locale);
 
     sendSuccess(res, "Registration initiated. Please verify your email.", { email }, 201);
   } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
     sendError(res, "Registration failed", err);
   }
 }
@@ -271,6 +346,7 @@ export async function verifyOtpController(req, res) {
           role: regData.role,
           address: regData.address,
           contactNo: regData.contactNo,
+          locale: regData.locale || Locale.EN,
           profileImage: regData.profileImage,
           emailVerified: true, // Immediately verified since they just verified OTP
           verificationStatus: VerificationStatus.VERIFIED, // Always VERIFIED after OTP
@@ -383,6 +459,7 @@ export async function verifyOtpController(req, res) {
       sendSuccess(res, "Email verified successfully. You can now login.");
     }
   } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
     sendError(res, "Verification failed", err);
   }
 }
@@ -404,10 +481,11 @@ export async function login(req, res) {
     }
     console.log(`[LOGIN DEBUG] Login attempt for: ${identifier}`);
 
-    // Allow login with email OR collectorId
+    // Allow login with email, collectorId OR phone number
+    const phone = normalizePhone(identifier);
     const user = await prisma.user.findFirst({
       where: {
-        OR: [{ email: identifier }, { collectorId: identifier }],
+        OR: [{ email: identifier }, { collectorId: identifier }, ...(phone ? [{ phone }] : [])],
       },
     });
 
@@ -430,52 +508,9 @@ export async function login(req, res) {
       return sendError(res, "Invalid credentials", null, 401);
     }
 
-    // Skip verification checks for admin users
-    if (user.role !== UserRole.ADMIN) {
-      // Check Verification Status
-      if (user.verificationStatus === VerificationStatus.BLOCKED) {
-        return sendError(res, "Account blocked", null, 403);
-      }
-
-      if (user.verificationStatus === VerificationStatus.REJECTED) {
-        return sendSuccess(res, "Account rejected", {
-          verificationStatus: VerificationStatus.REJECTED,
-          rejectionReason: user.rejectionReason,
-          kycStage: user.kycStage,
-          role: user.role
-        });
-      }
-
-      if (user.verificationStatus === VerificationStatus.PENDING && user.role !== UserRole.INDIVIDUAL) {
-        return sendSuccess(res, "Account pending verification", {
-          verificationStatus: VerificationStatus.PENDING,
-          kycStage: user.kycStage,
-          role: user.role
-        });
-      }
-
-      // Check Email Verification (for individuals mostly, but good for all)
-      if (!user.emailVerified && user.role === UserRole.INDIVIDUAL) {
-        return sendError(res, "Email not verified", null, 403);
-      }
-    }
-
-    // Generate Tokens
-    const accessToken = signAccessToken(user);
-    const refreshToken = signRefreshToken(user);
-    await saveRefreshToken(user.id, refreshToken);
-
-    await prisma.activityLog.create({
-      data: { userId: user.id, actorRole: user.role, action: "LOGIN" },
-    });
+    if (sendAccountStatusResponse(res, user)) return;
 
-    sendSuccess(res, "Login successful", {
-      accessToken,
-      refreshToken,
-      user: safeUserResponse(user),
-      verificationStatus: user.verificationStatus,
-      kycStage: user.kycStage
-    });
+    await sendLoginResponse(res, user);
   } catch (err) {
     sendError(res, "Login failed", err);
   }
@@ -491,12 +526,19 @@ export async function forgotPassword(req, res) {
       return sendSuccess(res, "If an account exists, OTP sent");
     }
 
+    // Over the resend limits nothing is sent, but the answer stays the same so
+    // it does not reveal that the account exists
+    try {
+      await assertCanSendOtp(user.id, "password_reset");
+    } catch (err) {
+      if (err.status !== 429) throw err;
+      logger.warn(`Password reset code for user ${user.id} not sent: ${err.message}`);
+      return sendSuccess(res, "If an account exists, OTP sent");
+    }
+
+    await invalidateOtps(user.id, "password_reset");
     const otp = await createOtpForUser(user.id, "password_reset");
-    await sendEmail({
-      to: email,
-      subject: "RecyConnect password reset OTP",
-      text: `Your OTP: ${otp}`,
-    });
+    await sendOtpEmail(email, otp, user.locale, EmailTemplate.PASSWORD_RESET);
 
     await prisma.activityLog.create({
       data: {
@@ -545,6 +587,7 @@ export async function resetPassword(req, res) {
 
     sendSuccess(res, "Password reset successfully");
   } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
     sendError(res, "Reset password failed", err);
   }
 }
@@ -661,13 +704,17 @@ export async function updateProfile(req, res) {
 
     // collect allowed updates
     const updates = {};
-    const allowed = ["name", "businessName", "companyName", "address", "city", "contactNo", "latitude", "longitude", "locationMethod", "locationPermission"];
+    const allowed = ["name", "businessName", "companyName", "address", "city", "contactNo", "latitude", "longitude", "locationMethod", "locationPermission", "locale"];
     for (const k of allowed) {
       if (req.body[k] !== undefined) {
         updates[k] = req.body[k];
       }
     }
 
+    if (updates.locale !== undefined && !SUPPORTED_LOCALES.includes(updates.locale)) {
+      return sendError(res, `Locale must be one of ${SUPPORTED_LOCALES.join(", ")}`, null, 400);
+    }
+
     // Track address updates
     if (updates.address || updates.city || updates.latitude || updates.longitude) {
       updates.addressUpdatedAt = new Date();
@@ -782,21 +829,12 @@ export async function resendOtp(req, res) {
     });
 
     if (pendingOtp && pendingOtp.metadata) {
-      // This is a pending registration - delete old OTP and create new one with same metadata
-      await prisma.otp.deleteMany({
-        where: {
-          email,
-          purpose: "email_verification",
-          used: false,
-        }
-      });
+      // This is a pending registration - retire old OTP and create new one with same metadata
+      await assertCanSendOtp(email, "email_verification");
+      await invalidateOtps(email, "email_verification");
 
       const otp = await createOtpForUser(null, "email_verification", email, pendingOtp.metadata);
-      await sendEmail({
-        to: email,
-        subject: "Verify your RecyConnect email",
-        text: `Your OTP: ${otp}`,
-      });
+      await sendOtpEmail(email, otp, pendingOtp.metadata.locale);
 
       return sendSuccess(res, "OTP sent successfully");
     }
@@ -811,15 +849,14 @@ export async function resendOtp(req, res) {
       return sendError(res, "Email already verified", null, 400);
     }
 
-    const otp = await createOtpForUser(user.id, "email_verification");
-    await sendEmail({
-      to: email,
-      subject: "Verify your RecyConnect email",
-      text: `Your OTP: ${otp}`,
-    });
+    await assertCanSendOtp(email, "email_verification");
+    await invalidateOtps(email, "email_verification");
+    const otp = await createOtpForUser(user.id, "email_verification", email);
+    await sendOtpEmail(email, otp, user.locale);
 
     sendSuccess(res, "OTP sent successfully");
   } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
     sendError(res, "Resend OTP failed", err);
   }
 }
@@ -846,6 +883,141 @@ export async function checkEmailExistence(req, res) {
   }
 }
 
+export async function registerWithPhone(req, res) {
+  try {
+    if (!validateRequest(req, res)) return;
+    const { name, password } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    const locale = SUPPORTED_LOCALES.includes(req.body.locale) ? req.body.locale : Locale.EN;
+
+    if (!phone) {
+      return sendError(res, "Invalid phone number", null, 400);
+    }
+
+    const existing = await prisma.user.findUnique({ where: { phone } });
+    if (existing) {
+      return sendError(res, "Phone number already registered", null, 400);
+    }
+
+    // Phone accounts are for individual sellers; a password is optional since they log in by SMS
+    const registrationData = {
+      name,
+      phone,
+      password: password
+        ? await bcrypt.hash(password.trim(), parseInt(process.env.BCRYPT_SALT_ROUNDS || "10"))
+        : undefined,
+      role: UserRole.INDIVIDUAL,
+      locale,
+    };
+
+    // Replace any earlier unused code for this number
+    await assertCanSendOtp(phone, "phone_verification");
+    await invalidateOtps(phone, "phone_verification");
+
+    const otp = await createOtpForPhone(phone, "phone_verification", registrationData);
+    await sendOtpSms(phone, otp);
+
+    sendSuccess(res, "Registration initiated. Please verify your phone number.", { phone }, 201);
+  } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
+    sendError(res, "Phone registration failed", err);
+  }
+}
+
+export async function verifyPhoneRegistration(req, res) {
+  try {
+    if (!validateRequest(req, res)) return;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return sendError(res, "Invalid phone number", null, 400);
+    }
+
+    const otpRecord = await verifyOtp(phone, req.body.otp, "phone_verification");
+    if (!otpRecord || !otpRecord.metadata) {
+      return sendError(res, "Invalid or expired OTP", null, 400);
+    }
+
+    const regData = otpRecord.metadata;
+    const existing = await prisma.user.findUnique({ where: { phone } });
+    if (existing) {
+      return sendError(res, "User already exists", null, 400);
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        name: regData.name,
+        password: regData.password,
+        role: regData.role,
+        phone,
+        phoneVerified: true,
+        contactNo: phone,
+        locale: regData.locale || Locale.EN,
+        verificationStatus: VerificationStatus.VERIFIED,
+        kycStage: KycStage.VERIFIED,
+      }
+    });
+
+    // Logged in straight away, there is no password step to go back to
+    await sendLoginResponse(res, user, "PHONE_VERIFIED_AND_REGISTERED");
+  } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
+    sendError(res, "Verification failed", err);
+  }
+}
+
+export async function requestPhoneLoginOtp(req, res) {
+  try {
+    if (!validateRequest(req, res)) return;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return sendError(res, "Invalid phone number", null, 400);
+    }
+
+    const user = await prisma.user.findUnique({ where: { phone } });
+    if (!user || !user.phoneVerified || user.deletedAt) {
+      return sendError(res, "No account found for this phone number", null, 404);
+    }
+
+    await assertCanSendOtp(phone, "phone_login");
+    await invalidateOtps(phone, "phone_login");
+
+    const otp = await createOtpForPhone(phone, "phone_login", null, user.id);
+    await sendOtpSms(phone, otp);
+
+    sendSuccess(res, "OTP sent successfully");
+  } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
+    sendError(res, "Failed to send OTP", err);
+  }
+}
+
+export async function loginWithPhone(req, res) {
+  try {
+    if (!validateRequest(req, res)) return;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return sendError(res, "Invalid phone number", null, 400);
+    }
+
+    const otpRecord = await verifyOtp(phone, req.body.otp, "phone_login");
+    if (!otpRecord) {
+      return sendError(res, "Invalid or expired OTP", null, 401);
+    }
+
+    const user = await prisma.user.findUnique({ where: { phone } });
+    if (!user || user.deletedAt) {
+      return sendError(res, "Invalid credentials", null, 401);
+    }
+
+    if (sendAccountStatusResponse(res, user)) return;
+
+    await sendLoginResponse(res, user, "PHONE_LOGIN");
+  } catch (err) {
+    if (err.status) return sendError(res, err.message, null, err.status);
+    sendError(res, "Login failed", err);
+  }
+}
+
 export async function createCollector(req, res) {
   try {
     // Warehouse/Company Admin only
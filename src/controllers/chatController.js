@@ -1,14 +1,35 @@
 import { PrismaClient } from '@prisma/client';
 import { sendSuccess, sendError } from '../utils/responseHelper.js';
+import {
+    findConversationForUser,
+    createMessage,
+    markConversationRead,
+    getOrCreateConversation as findOrCreateConversation,
+    participantSelect,
+    dealSelect,
+} from '../services/chatService.js';
+import { broadcastMessage, broadcastRead } from '../services/socketService.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Shape a conversation for the current user: the other participant and
+ * the listing or order the thread is about (null for a general chat)
+ */
+const formatConversation = (conv, userId) => ({
+    id: conv.id,
+    otherParticipant: conv.participant1Id === userId ? conv.participant2 : conv.participant1,
+    listing: conv.listing || null,
+    order: conv.order || null,
+});
+
 /**
  * Get all conversations for the authenticated user
  */
 export async function getConversations(req, res) {
     try {
         const userId = req.user.id;
+        const { listingId, orderId } = req.query;
 
         const conversations = await prisma.conversation.findMany({
             where: {
@@ -16,14 +37,13 @@ export async function getConversations(req, res) {
                     { participant1Id: userId },
                     { participant2Id: userId },
                 ],
+                ...(listingId && { listingId: parseInt(listingId) }),
+                ...(orderId && { orderId: parseInt(orderId) }),
             },
             include: {
-                participant1: {
-                    select: { id: true, name: true, profileImage: true, role: true, businessName: true }
-                },
-                participant2: {
-                    select: { id: true, name: true, profileImage: true, role: true, businessName: true }
-                },
+                participant1: { select: participantSelect },
+                participant2: { select: participantSelect },
+                ...dealSelect,
                 messages: {
                     orderBy: { createdAt: 'desc' },
                     take: 1,
@@ -35,24 +55,22 @@ export async function getConversations(req, res) {
                         senderId: true,
                     }
                 },
+                _count: {
+                    select: {
+                        messages: { where: { isRead: false, senderId: { not: userId } } }
+                    }
+                },
             },
             orderBy: { updatedAt: 'desc' },
         });
 
         // Format conversations with the other participant's info
-        const formattedConversations = conversations.map(conv => {
-            const otherParticipant = conv.participant1Id === userId ? conv.participant2 : conv.participant1;
-            const lastMessage = conv.messages[0] || null;
-            const unreadCount = lastMessage && !lastMessage.isRead && lastMessage.senderId !== userId ? 1 : 0;
-
-            return {
-                id: conv.id,
-                otherParticipant,
-                lastMessage,
-                unreadCount,
-                updatedAt: conv.updatedAt,
-            };
-        });
+        const formattedConversations = conversations.map(conv => ({
+            ...formatConversation(conv, userId),
+            lastMessage: conv.messages[0] || null,
+            unreadCount: conv._count.messages,
+            updatedAt: conv.updatedAt,
+        }));
 
         sendSuccess(res, 'Conversations fetched', formattedConversations);
     } catch (err) {
@@ -61,66 +79,18 @@ export async function getConversations(req, res) {
 }
 
 /**
- * Get or create a conversation between two users
+ * Get or create a conversation with another user, optionally about a listing or order
  */
 export async function getOrCreateConversation(req, res) {
     try {
         const userId = req.user.id;
-        const { otherUserId } = req.body;
-
-        if (!otherUserId) {
-            return sendError(res, 'otherUserId is required', null, 400);
-        }
-
-        if (userId === parseInt(otherUserId)) {
-            return sendError(res, 'Cannot create conversation with yourself', null, 400);
-        }
-
-        // Check if conversation already exists (both directions)
-        let conversation = await prisma.conversation.findFirst({
-            where: {
-                OR: [
-                    { participant1Id: userId, participant2Id: parseInt(otherUserId) },
-                    { participant1Id: parseInt(otherUserId), participant2Id: userId },
-                ],
-            },
-            include: {
-                participant1: {
-                    select: { id: true, name: true, profileImage: true, role: true, businessName: true }
-                },
-                participant2: {
-                    select: { id: true, name: true, profileImage: true, role: true, businessName: true }
-                },
-            },
-        });
-
-        // Create if doesn't exist
-        if (!conversation) {
-            conversation = await prisma.conversation.create({
-                data: {
-                    participant1Id: userId,
-                    participant2Id: parseInt(otherUserId),
-                },
-                include: {
-                    participant1: {
-                        select: { id: true, name: true, profileImage: true, role: true, businessName: true }
-                    },
-                    participant2: {
-                        select: { id: true, name: true, profileImage: true, role: true, businessName: true }
-                    },
-                },
-            });
-        }
+        const { otherUserId, listingId, orderId } = req.body;
 
-        const otherParticipant = conversation.participant1Id === userId
-            ? conversation.participant2
-            : conversation.participant1;
+        const { conversation, created } = await findOrCreateConversation(userId, { otherUserId, listingId, orderId });
 
-        sendSuccess(res, 'Conversation retrieved', {
-            id: conversation.id,
-            otherParticipant,
-        }, 201);
+        sendSuccess(res, 'Conversation retrieved', formatConversation(conversation, userId), created ? 201 : 200);
     } catch (err) {
+        if (err.status) return sendError(res, err.message, null, err.status);
         sendError(res, 'Failed to get or create conversation', err);
     }
 }
@@ -136,22 +106,14 @@ export async function getMessages(req, res) {
         const offset = parseInt(req.query.offset) || 0;
 
         // Verify user is participant
-        const conversation = await prisma.conversation.findFirst({
-            where: {
-                id: parseInt(conversationId),
-                OR: [
-                    { participant1Id: userId },
-                    { participant2Id: userId },
-                ],
-            },
-        });
+        const conversation = await findConversationForUser(conversationId, userId);
 
         if (!conversation) {
             return sendError(res, 'Conversation not found', null, 404);
         }
 
         const messages = await prisma.message.findMany({
-            where: { conversationId: parseInt(conversationId) },
+            where: { conversationId: conversation.id },
             include: {
                 sender: {
                     select: { id: true, name: true, profileImage: true }
@@ -162,15 +124,9 @@ export async function getMessages(req, res) {
             skip: offset,
         });
 
-        // Mark messages as read
-        await prisma.message.updateMany({
-            where: {
-                conversationId: parseInt(conversationId),
-                senderId: { not: userId },
-                isRead: false,
-            },
-            data: { isRead: true },
-        });
+        // Mark messages as read and let the sender know
+        const readCount = await markConversationRead(conversation, userId);
+        if (readCount > 0) broadcastRead(conversation, userId);
 
         sendSuccess(res, 'Messages fetched', messages.reverse());
     } catch (err) {
@@ -179,51 +135,33 @@ export async function getMessages(req, res) {
 }
 
 /**
- * Send a message (called via HTTP, but real-time is handled by Socket.io)
+ * Send a message over HTTP; it is also pushed to connected sockets.
+ * Socket clients can send directly with the `message:send` event.
  */
 export async function sendMessage(req, res) {
     try {
         const userId = req.user.id;
         const { conversationId, content, imageUrl } = req.body;
 
+        if (!conversationId) {
+            return sendError(res, 'conversationId is required', null, 400);
+        }
+
         if (!content && !imageUrl) {
             return sendError(res, 'Message content or image required', null, 400);
         }
 
         // Verify user is participant
-        const conversation = await prisma.conversation.findFirst({
-            where: {
-                id: parseInt(conversationId),
-                OR: [
-                    { participant1Id: userId },
-                    { participant2Id: userId },
-                ],
-            },
-        });
+        const conversation = await findConversationForUser(conversationId, userId);
 
         if (!conversation) {
             return sendError(res, 'Conversation not found', null, 404);
         }
 
-        const message = await prisma.message.create({
-            data: {
-                conversationId: parseInt(conversationId),
-                senderId: userId,
-                content: content || '',
-                imageUrl,
-            },
-            include: {
-                sender: {
-                    select: { id: true, name: true, profileImage: true }
-                },
-            },
-        });
+        const message = await createMessage(conversation, userId, { content, imageUrl });
 
-        // Update conversation timestamp
-        await prisma.conversation.update({
-            where: { id: parseInt(conversationId) },
-            data: { updatedAt: new Date() },
-        });
+        // Push to both participants' open sockets
+        broadcastMessage(conversation, message);
 
         sendSuccess(res, 'Message sent', message, 201);
     } catch (err) {
@@ -0,0 +1,199 @@
+import { PrismaClient } from '@prisma/client';
+import fs from 'fs/promises';
+import { CollectionJobStatus } from '../constants/enums.js';
+import { assignCollectionJob, advanceCollectionJob, jobInclude, jobOmit } from '../services/jobService.js';
+import { planRoute } from '../services/routeService.js';
+import { getPaginationParams } from '../utils/queryHelper.js';
+import { sendSuccess, sendPaginated, sendError } from '../utils/responseHelper.js';
+
+const prisma = new PrismaClient();
+
+const ACTIVE_JOB_STATUSES = [CollectionJobStatus.ASSIGNED, CollectionJobStatus.PICKED_UP];
+
+/**
+ * Remove multer temp files for a request that was rejected
+ */
+const discardUploads = (files) => Promise.all(files.map(file => fs.unlink(file.path).catch(() => { })));
+
+/**
+ * Assign an accepted order (or the order behind an accepted listing) to a collector
+ * POST /api/warehouse/jobs
+ */
+export const assignJob = async (req, res) => {
+    try {
+        const { orderId, listingId, collectorId, notes } = req.body;
+
+        const job = await assignCollectionJob(req.user.id, { orderId, listingId, collectorId, notes });
+
+        sendSuccess(res, 'Pickup assigned successfully', job, 201);
+    } catch (error) {
+        if (error.status) return sendError(res, error.message, null, error.status);
+        sendError(res, 'Failed to assign pickup', error);
+    }
+};
+
+/**
+ * Get the warehouse's pickup jobs with status and collector filters
+ * GET /api/warehouse/jobs
+ */
+export const getWarehouseJobs = async (req, res) => {
+    try {
+        const { status, collectorId, page = 1, limit = 10 } = req.query;
+
+        const where = { warehouseId: req.user.id };
+        if (status) where.status = status;
+        if (collectorId) where.collectorId = parseInt(collectorId);
+
+        const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
+
+        const [totalCount, jobs] = await Promise.all([
+            prisma.collectionJob.count({ where }),
+            prisma.collectionJob.findMany({
+                where,
+                include: jobInclude,
+                omit: jobOmit,
+                orderBy: { assignedAt: 'desc' },
+                skip,
+                take
+            })
+        ]);
+
+        sendPaginated(res, jobs, totalCount, pageNum, limitNum);
+    } catch (error) {
+        sendError(res, 'Failed to fetch pickup jobs', error);
+    }
+};
+
+/**
+ * Get the collector's assigned pickups (open ones unless a status is given)
+ * GET /api/collector/jobs
+ */
+export const getCollectorJobs = async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const jobs = await prisma.collectionJob.findMany({
+            where: {
+                collectorId: req.user.id,
+                status: status || { in: ACTIVE_JOB_STATUSES }
+            },
+            include: jobInclude,
+            omit: jobOmit,
+            orderBy: { assignedAt: 'asc' }
+        });
+
+        sendSuccess(res, 'Pickup jobs fetched successfully', jobs);
+    } catch (error) {
+        sendError(res, 'Failed to fetch pickup jobs', error);
+    }
+};
+
+/**
+ * Mark a pickup job as picked up (with proof of collection) or delivered
+ * PUT /api/collector/jobs/:id/status
+ */
+export const updateJobStatus = async (req, res) => {
+    const photos = req.files || [];
+    try {
+        const { id } = req.params;
+        const { status, note, latitude, longitude, actualWeight, confirmationCode } = req.body;
+
+        if (![CollectionJobStatus.PICKED_UP, CollectionJobStatus.DELIVERED].includes(status)) {
+            await discardUploads(photos);
+            return sendError(res, `Status must be one of: ${CollectionJobStatus.PICKED_UP}, ${CollectionJobStatus.DELIVERED}`, null, 400);
+        }
+
+        const job = await advanceCollectionJob(req.user.id, id, {
+            status,
+            note,
+            latitude,
+            longitude,
+            actualWeight,
+            confirmationCode,
+            photos
+        });
+
+        sendSuccess(res, 'Pickup job updated successfully', job);
+    } catch (error) {
+        // Photos are only kept once the pickup is accepted
+        await discardUploads(photos);
+        if (error.status) return sendError(res, error.message, null, error.status);
+        sendError(res, 'Failed to update pickup job', error);
+    }
+};
+
+/**
+ * Ordered pickup route for the day, starting and ending at the warehouse.
+ * Covers pickups still waiting (ASSIGNED) that were assigned by the end of the date.
+ * GET /api/collector/route
+ */
+export const getCollectorRoute = async (req, res) => {
+    try {
+        const day = req.query.date ? new Date(req.query.date) : new Date();
+        if (isNaN(day.getTime())) {
+            return sendError(res, 'Invalid date', null, 400);
+        }
+        const endOfDay = new Date(day);
+        endOfDay.setUTCHours(23, 59, 59, 999);
+
+        const collector = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { assignedWarehouseId: true }
+        });
+
+        const warehouse = collector?.assignedWarehouseId
+            ? await prisma.user.findUnique({
+                where: { id: collector.assignedWarehouseId },
+                select: { id: true, name: true, businessName: true, address: true, latitude: true, longitude: true }
+            })
+            : null;
+
+        if (!warehouse) {
+            return sendError(res, 'Collector is not assigned to a warehouse', null, 400);
+        }
+        if (warehouse.latitude == null || warehouse.longitude == null) {
+            return sendError(res, 'Warehouse location is not set', null, 400);
+        }
+
+        const jobs = await prisma.collectionJob.findMany({
+            where: {
+                collectorId: req.user.id,
+                status: CollectionJobStatus.ASSIGNED,
+                assignedAt: { lte: endOfDay }
+            },
+            include: { order: jobInclude.order },
+            orderBy: { assignedAt: 'asc' }
+        });
+
+        const toStop = (job) => ({
+            jobId: job.id,
+            orderId: job.order.id,
+            pickupAddress: job.order.pickupAddress,
+            latitude: job.order.latitude,
+            longitude: job.order.longitude,
+            materialType: job.order.materialType,
+            weight: job.order.weight,
+            seller: job.order.seller,
+            notes: job.notes
+        });
+
+        const located = jobs.filter(job => job.order.latitude != null && job.order.longitude != null);
+        const unroutable = jobs.filter(job => !located.includes(job)).map(toStop);
+
+        const route = planRoute(
+            { latitude: warehouse.latitude, longitude: warehouse.longitude },
+            located.map(toStop)
+        );
+
+        sendSuccess(res, 'Pickup route planned successfully', {
+            date: endOfDay.toISOString().slice(0, 10),
+            start: warehouse,
+            stops: route.stops,
+            returnDistanceKm: route.returnDistanceKm,
+            totalDistanceKm: route.totalDistanceKm,
+            unroutable
+        });
+    } catch (error) {
+        sendError(res, 'Failed to plan pickup route', error);
+    }
+};
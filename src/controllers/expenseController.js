@@ -0,0 +1,251 @@
+import { PrismaClient } from '@prisma/client';
+import cloudinary from '../config/cloudinary.js';
+import fs from 'fs/promises';
+import { ExpenseCategory } from '../constants/enums.js';
+import { buildDateFilter, getPaginationParams } from '../utils/queryHelper.js';
+import { sendSuccess, sendError } from '../utils/responseHelper.js';
+import { logger } from '../utils/logger.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Upload a receipt image and return its URL
+ */
+const uploadReceipt = async (file, warehouseId) => {
+    const uploaded = await cloudinary.uploader.upload(file.path, {
+        folder: `recyconnect/expenses/${warehouseId}`,
+    });
+    await fs.unlink(file.path);
+    return uploaded.secure_url;
+};
+
+// Multer leaves the upload in uploads/ until it is sent to Cloudinary
+const discardUpload = (file) => (file ? fs.unlink(file.path).catch(() => { }) : Promise.resolve());
+
+/**
+ * Remove a stored receipt from Cloudinary; failures are logged, not thrown
+ */
+const removeReceipt = async (url) => {
+    // .../upload/v1712345678/recyconnect/expenses/7/abc.jpg -> recyconnect/expenses/7/abc
+    const publicId = url?.match(/\/upload\/(?:v\d+\/)?(.+)\.[^./]+$/)?.[1];
+    if (!publicId) return;
+    try {
+        await cloudinary.uploader.destroy(publicId);
+    } catch (error) {
+        logger.warn(`Failed to delete receipt ${publicId}: ${error.message}`);
+    }
+};
+
+/**
+ * Record a warehouse expense
+ * POST /api/warehouse/expenses
+ */
+export const createExpense = async (req, res) => {
+    let receipt = null;
+    try {
+        const warehouseId = req.user.id;
+        const { category, amount, description, date } = req.body;
+
+        if (!Object.values(ExpenseCategory).includes(category)) {
+            await discardUpload(req.file);
+            return sendError(res, `Category must be one of: ${Object.values(ExpenseCategory).join(', ')}`, null, 400);
+        }
+
+        if (!(parseFloat(amount) > 0)) {
+            await discardUpload(req.file);
+            return sendError(res, 'Amount must be greater than 0', null, 400);
+        }
+
+        const expenseDate = date ? new Date(date) : new Date();
+        if (isNaN(expenseDate.getTime())) {
+            await discardUpload(req.file);
+            return sendError(res, 'Invalid expense date', null, 400);
+        }
+
+        if (req.file) receipt = await uploadReceipt(req.file, warehouseId);
+
+        const expense = await prisma.expense.create({
+            data: {
+                warehouseId,
+                category,
+                amount: parseFloat(amount),
+                description: description || null,
+                date: expenseDate,
+                receipt
+            }
+        });
+
+        sendSuccess(res, 'Expense recorded successfully', expense, 201);
+    } catch (error) {
+        await discardUpload(req.file);
+        // The receipt was uploaded but the expense not saved
+        if (receipt) await removeReceipt(receipt);
+        sendError(res, 'Failed to record expense', error);
+    }
+};
+
+/**
+ * Get warehouse expenses with date-range and category filters
+ * GET /api/warehouse/expenses
+ */
+export const getExpenses = async (req, res) => {
+    try {
+        const warehouseId = req.user.id;
+        const {
+            category,
+            startDate,
+            endDate,
+            page = 1,
+            limit = 10
+        } = req.query;
+
+        const where = { warehouseId };
+        if (category) where.category = category;
+
+        Object.assign(where, buildDateFilter(startDate, endDate, 'date'));
+
+        const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
+
+        const [totalCount, totals, expenses] = await Promise.all([
+            prisma.expense.count({ where }),
+            prisma.expense.groupBy({
+                by: ['category'],
+                where,
+                _sum: { amount: true }
+            }),
+            prisma.expense.findMany({
+                where,
+                orderBy: { date: 'desc' },
+                skip,
+                take
+            })
+        ]);
+
+        const byCategory = totals.reduce((acc, t) => {
+            acc[t.category] = parseFloat((t._sum.amount || 0).toFixed(2));
+            return acc;
+        }, {});
+        const totalAmount = Object.values(byCategory).reduce((sum, v) => sum + v, 0);
+
+        res.json({
+            success: true,
+            data: expenses,
+            summary: {
+                totalAmount: parseFloat(totalAmount.toFixed(2)),
+                byCategory
+            },
+            pagination: {
+                total: totalCount,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(totalCount / limitNum)
+            }
+        });
+    } catch (error) {
+        sendError(res, 'Failed to fetch expenses', error);
+    }
+};
+
+/**
+ * Update a warehouse expense
+ * PUT /api/warehouse/expenses/:id
+ */
+export const updateExpense = async (req, res) => {
+    let receipt = null;
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+        const { category, amount, description, date } = req.body;
+
+        const expense = await prisma.expense.findFirst({
+            where: { id: parseInt(id), warehouseId }
+        });
+
+        if (!expense) {
+            await discardUpload(req.file);
+            return sendError(res, 'Expense not found', null, 404);
+        }
+
+        const updates = {};
+
+        if (category !== undefined) {
+            if (!Object.values(ExpenseCategory).includes(category)) {
+                await discardUpload(req.file);
+                return sendError(res, `Category must be one of: ${Object.values(ExpenseCategory).join(', ')}`, null, 400);
+            }
+            updates.category = category;
+        }
+
+        if (amount !== undefined) {
+            if (!(parseFloat(amount) > 0)) {
+                await discardUpload(req.file);
+                return sendError(res, 'Amount must be greater than 0', null, 400);
+            }
+            updates.amount = parseFloat(amount);
+        }
+
+        if (date !== undefined) {
+            const expenseDate = new Date(date);
+            if (isNaN(expenseDate.getTime())) {
+                await discardUpload(req.file);
+                return sendError(res, 'Invalid expense date', null, 400);
+            }
+            updates.date = expenseDate;
+        }
+
+        if (description !== undefined) updates.description = description || null;
+
+        if (req.file) {
+            receipt = await uploadReceipt(req.file, warehouseId);
+            updates.receipt = receipt;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            await discardUpload(req.file);
+            return sendError(res, 'No changes provided', null, 400);
+        }
+
+        const updated = await prisma.expense.update({
+            where: { id: expense.id },
+            data: updates
+        });
+
+        // The replaced receipt is only removed once the new one is saved
+        if (updates.receipt && expense.receipt) {
+            await removeReceipt(expense.receipt);
+        }
+
+        sendSuccess(res, 'Expense updated successfully', updated);
+    } catch (error) {
+        await discardUpload(req.file);
+        // The new receipt was uploaded but never saved
+        if (receipt) await removeReceipt(receipt);
+        sendError(res, 'Failed to update expense', error);
+    }
+};
+
+/**
+ * Delete a warehouse expense
+ * DELETE /api/warehouse/expenses/:id
+ */
+export const deleteExpense = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+
+        const expense = await prisma.expense.findFirst({
+            where: { id: parseInt(id), warehouseId }
+        });
+
+        if (!expense) {
+            return sendError(res, 'Expense not found', null, 404);
+        }
+
+        await prisma.expense.delete({ where: { id: expense.id } });
+        if (expense.receipt) await removeReceipt(expense.receipt);
+
+        sendSuccess(res, 'Expense deleted successfully');
+    } catch (error) {
+        sendError(res, 'Failed to delete expense', error);
+    }
+};
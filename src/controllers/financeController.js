@@ -0,0 +1,26 @@
+import { buildProfitAndLoss, PnlPeriod } from '../services/financeService.js';
+import { sendSuccess, sendError } from '../utils/responseHelper.js';
+
+/**
+ * Get the warehouse profit & loss statement
+ * GET /api/warehouse/finance/pnl
+ */
+export const getProfitAndLoss = async (req, res) => {
+    try {
+        const { period = 'month', startDate, endDate } = req.query;
+
+        if (!PnlPeriod.includes(period)) {
+            return sendError(res, `Period must be one of: ${PnlPeriod.join(', ')}`, null, 400);
+        }
+
+        if ([startDate, endDate].some(d => d && isNaN(new Date(d).getTime()))) {
+            return sendError(res, 'Invalid date range', null, 400);
+        }
+
+        const statement = await buildProfitAndLoss(req.user.id, { period, startDate, endDate });
+
+        sendSuccess(res, 'Profit and loss statement generated', statement);
+    } catch (error) {
+        sendError(res, 'Failed to generate profit and loss statement', error);
+    }
+};
@@ -0,0 +1,429 @@
+import { PrismaClient } from '@prisma/client';
+import { InventoryMovementType } from '../constants/enums.js';
+import { recordMovement, createMovement, auditInventoryBalance } from '../services/inventoryService.js';
+import { collectWarehouseAlerts } from '../services/alertService.js';
+import { buildSearchFilter, getPaginationParams } from '../utils/queryHelper.js';
+import { sendSuccess, sendPaginated, sendError } from '../utils/responseHelper.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Parse an optional numeric field from the request body
+ * @param {*} value Raw value
+ * @returns {number|null|undefined} undefined when absent, null when cleared
+ */
+const parseOptionalFloat = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    return parseFloat(value);
+};
+
+/**
+ * Add a new item to the warehouse inventory
+ * POST /api/warehouse/inventory
+ */
+export const createInventoryItem = async (req, res) => {
+    try {
+        const warehouseId = req.user.id;
+        const {
+            materialType,
+            category,
+            quantityInStock,
+            reorderLevel,
+            purchasePrice,
+            sellingPrice,
+            supplierId,
+            location,
+            notes
+        } = req.body;
+
+        // Validation: required fields
+        if (!materialType || !category) {
+            return sendError(res, 'Material type and category are required', null, 400);
+        }
+
+        if (purchasePrice === undefined || sellingPrice === undefined) {
+            return sendError(res, 'Purchase price and selling price are required', null, 400);
+        }
+
+        const quantity = parseFloat(quantityInStock ?? 0);
+        if (isNaN(quantity) || quantity < 0) {
+            return sendError(res, 'Quantity in stock cannot be negative', null, 400);
+        }
+
+        const prices = [parseFloat(purchasePrice), parseFloat(sellingPrice)];
+        if (prices.some(isNaN)) {
+            return sendError(res, 'Purchase price and selling price must be numbers', null, 400);
+        }
+        if (prices.some(price => price < 0)) {
+            return sendError(res, 'Prices cannot be negative', null, 400);
+        }
+
+        // Opening stock is booked as an INFLOW so the ledger always explains the balance
+        const item = await prisma.$transaction(async (tx) => {
+            const created = await tx.warehouseInventory.create({
+                data: {
+                    warehouseId,
+                    materialType,
+                    category,
+                    quantityInStock: 0,
+                    reorderLevel: parseOptionalFloat(reorderLevel) ?? null,
+                    purchasePrice: parseFloat(purchasePrice),
+                    sellingPrice: parseFloat(sellingPrice),
+                    supplierId: supplierId ? parseInt(supplierId) : null,
+                    location: location || null,
+                    notes: notes || null
+                }
+            });
+
+            if (quantity > 0) {
+                await recordMovement(tx, {
+                    inventoryId: created.id,
+                    type: InventoryMovementType.INFLOW,
+                    quantity,
+                    reference: 'OPENING_STOCK',
+                    performedBy: warehouseId
+                });
+            }
+
+            return tx.warehouseInventory.findUnique({
+                where: { id: created.id },
+                include: {
+                    supplier: {
+                        select: { id: true, name: true, businessName: true }
+                    }
+                }
+            });
+        });
+
+        sendSuccess(res, 'Inventory item created successfully', item, 201);
+    } catch (error) {
+        sendError(res, 'Failed to create inventory item', error);
+    }
+};
+
+/**
+ * Get warehouse inventory with filters
+ * GET /api/warehouse/inventory
+ */
+export const getInventory = async (req, res) => {
+    try {
+        const warehouseId = req.user.id;
+        const {
+            materialType,
+            category,
+            location,
+            search,
+            page = 1,
+            limit = 10
+        } = req.query;
+
+        const where = { warehouseId, deletedAt: null };
+
+        if (materialType) where.materialType = { equals: materialType, mode: 'insensitive' };
+        if (category) where.category = { equals: category, mode: 'insensitive' };
+        if (location) where.location = { contains: location, mode: 'insensitive' };
+
+        if (search) {
+            Object.assign(where, buildSearchFilter(search, ['materialType', 'category', 'location', 'notes']));
+        }
+
+        const totalCount = await prisma.warehouseInventory.count({ where });
+
+        const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
+
+        const items = await prisma.warehouseInventory.findMany({
+            where,
+            include: {
+                supplier: {
+                    select: { id: true, name: true, businessName: true }
+                }
+            },
+            orderBy: { updatedAt: 'desc' },
+            skip,
+            take
+        });
+
+        sendPaginated(res, items, totalCount, pageNum, limitNum);
+    } catch (error) {
+        sendError(res, 'Failed to fetch inventory', error);
+    }
+};
+
+/**
+ * Get a single inventory item
+ * GET /api/warehouse/inventory/:id
+ */
+export const getInventoryItem = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+
+        const item = await prisma.warehouseInventory.findFirst({
+            where: { id: parseInt(id), warehouseId, deletedAt: null },
+            include: {
+                supplier: {
+                    select: { id: true, name: true, businessName: true, contactNo: true }
+                }
+            }
+        });
+
+        if (!item) {
+            return sendError(res, 'Inventory item not found', null, 404);
+        }
+
+        sendSuccess(res, 'Inventory item fetched successfully', item);
+    } catch (error) {
+        sendError(res, 'Failed to fetch inventory item', error);
+    }
+};
+
+/**
+ * Update an inventory item
+ * PUT /api/warehouse/inventory/:id
+ */
+export const updateInventoryItem = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+
+        const item = await prisma.warehouseInventory.findFirst({
+            where: { id: parseInt(id), warehouseId, deletedAt: null }
+        });
+
+        if (!item) {
+            return sendError(res, 'Inventory item not found', null, 404);
+        }
+
+        const updates = {};
+        const allowed = ['materialType', 'category', 'location', 'notes'];
+        for (const k of allowed) {
+            if (req.body[k] !== undefined) {
+                updates[k] = req.body[k];
+            }
+        }
+
+        const numeric = ['reorderLevel', 'purchasePrice', 'sellingPrice'];
+        for (const k of numeric) {
+            const value = parseOptionalFloat(req.body[k]);
+            if (value === undefined) continue;
+            if (value === null && k !== 'reorderLevel') {
+                return sendError(res, `${k} cannot be cleared`, null, 400);
+            }
+            if (value !== null && (isNaN(value) || value < 0)) {
+                return sendError(res, `${k} must be a non-negative number`, null, 400);
+            }
+            updates[k] = value;
+        }
+
+        // A new stock figure is booked as an ADJUSTMENT movement, never written directly
+        let stockDelta = 0;
+        if (req.body.quantityInStock !== undefined) {
+            const quantity = parseFloat(req.body.quantityInStock);
+            if (isNaN(quantity) || quantity < 0) {
+                return sendError(res, 'quantityInStock must be a non-negative number', null, 400);
+            }
+            stockDelta = quantity - item.quantityInStock;
+        }
+
+        if (req.body.supplierId !== undefined) {
+            updates.supplierId = req.body.supplierId ? parseInt(req.body.supplierId) : null;
+        }
+
+        if (Object.keys(updates).length === 0 && stockDelta === 0) {
+            return sendError(res, 'No changes provided', null, 400);
+        }
+
+        const updated = await prisma.$transaction(async (tx) => {
+            if (stockDelta !== 0) {
+                await recordMovement(tx, {
+                    inventoryId: item.id,
+                    type: InventoryMovementType.ADJUSTMENT,
+                    quantity: stockDelta,
+                    notes: 'Stock corrected via inventory update',
+                    performedBy: warehouseId
+                });
+            }
+
+            return tx.warehouseInventory.update({
+                where: { id: item.id },
+                data: updates,
+                include: {
+                    supplier: {
+                        select: { id: true, name: true, businessName: true }
+                    }
+                }
+            });
+        });
+
+        sendSuccess(res, 'Inventory item updated successfully', updated);
+    } catch (error) {
+        if (error.status) return sendError(res, error.message, null, error.status);
+        sendError(res, 'Failed to update inventory item', error);
+    }
+};
+
+/**
+ * Delete an inventory item
+ * DELETE /api/warehouse/inventory/:id
+ */
+export const deleteInventoryItem = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+
+        const item = await prisma.warehouseInventory.findFirst({
+            where: { id: parseInt(id), warehouseId, deletedAt: null }
+        });
+
+        if (!item) {
+            return sendError(res, 'Inventory item not found', null, 404);
+        }
+
+        // Stock must be moved out first so the ledger ends at zero
+        if (item.quantityInStock !== 0) {
+            return sendError(res, 'Inventory item still has stock; record an outflow or adjustment to zero before deleting', null, 400);
+        }
+
+        // Soft delete: the movement ledger stays available to the audit endpoint
+        await prisma.warehouseInventory.update({
+            where: { id: item.id },
+            data: { deletedAt: new Date() }
+        });
+
+        sendSuccess(res, 'Inventory item deleted successfully');
+    } catch (error) {
+        sendError(res, 'Failed to delete inventory item', error);
+    }
+};
+
+/**
+ * Record a stock movement against an inventory item
+ * POST /api/warehouse/inventory/:id/movements
+ */
+export const createInventoryMovement = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+        const { type, quantity, reference, notes } = req.body;
+
+        if (!type || quantity === undefined) {
+            return sendError(res, 'Movement type and quantity are required', null, 400);
+        }
+
+        const item = await prisma.warehouseInventory.findFirst({
+            where: { id: parseInt(id), warehouseId, deletedAt: null },
+            select: { id: true }
+        });
+
+        if (!item) {
+            return sendError(res, 'Inventory item not found', null, 404);
+        }
+
+        const result = await createMovement({
+            inventoryId: item.id,
+            type,
+            quantity,
+            reference,
+            notes,
+            performedBy: warehouseId
+        });
+
+        sendSuccess(res, 'Inventory movement recorded successfully', result, 201);
+    } catch (error) {
+        if (error.status) return sendError(res, error.message, null, error.status);
+        sendError(res, 'Failed to record inventory movement', error);
+    }
+};
+
+/**
+ * Get the movement ledger for an inventory item (deleted items included)
+ * GET /api/warehouse/inventory/:id/movements
+ */
+export const getInventoryMovements = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+        const { type, page = 1, limit = 20 } = req.query;
+
+        const item = await prisma.warehouseInventory.findFirst({
+            where: { id: parseInt(id), warehouseId },
+            select: { id: true }
+        });
+
+        if (!item) {
+            return sendError(res, 'Inventory item not found', null, 404);
+        }
+
+        const where = { inventoryId: item.id };
+        if (type) where.type = type;
+
+        const totalCount = await prisma.inventoryMovement.count({ where });
+
+        const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
+
+        const movements = await prisma.inventoryMovement.findMany({
+            where,
+            include: {
+                user: {
+                    select: { id: true, name: true, businessName: true }
+                }
+            },
+            orderBy: { createdAt: 'desc' },
+            skip,
+            take
+        });
+
+        sendPaginated(res, movements, totalCount, pageNum, limitNum);
+    } catch (error) {
+        sendError(res, 'Failed to fetch inventory movements', error);
+    }
+};
+
+/**
+ * Replay the movement ledger and compare it with the stored balance (deleted items included)
+ * GET /api/warehouse/inventory/:id/audit
+ */
+export const auditInventoryItem = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const warehouseId = req.user.id;
+
+        const item = await prisma.warehouseInventory.findFirst({
+            where: { id: parseInt(id), warehouseId },
+            select: { id: true }
+        });
+
+        if (!item) {
+            return sendError(res, 'Inventory item not found', null, 404);
+        }
+
+        const audit = await auditInventoryBalance(item.id);
+
+        sendSuccess(res, audit.balanced ? 'Inventory balance verified' : 'Inventory balance mismatch detected', audit);
+    } catch (error) {
+        sendError(res, 'Failed to audit inventory item', error);
+    }
+};
+
+/**
+ * Get low-stock and over-capacity alerts for the warehouse
+ * GET /api/warehouse/alerts
+ */
+export const getWarehouseAlerts = async (req, res) => {
+    try {
+        const [alert] = await collectWarehouseAlerts([req.user.id]);
+
+        if (!alert) {
+            return sendError(res, 'Warehouse not found', null, 404);
+        }
+
+        sendSuccess(res, 'Alerts fetched successfully', {
+            lowStock: alert.lowStock,
+            capacity: alert.capacity,
+            alertCount: alert.lowStock.length + (alert.capacity.overCapacity ? 1 : 0)
+        });
+    } catch (error) {
+        sendError(res, 'Failed to fetch alerts', error);
+    }
+};
@@ -1,10 +1,65 @@
-import { PrismaClient } from '@prisma/client';
-import { ListingStatus } from '../constants/enums.js';
-import { buildDateFilter, buildSearchFilter, getPaginationParams } from '../utils/queryHelper.js';
+import { Prisma, PrismaClient } from '@prisma/client';
+import { ListingStatus, PaymentMethod } from '../constants/enums.js';
+import { DEFAULT_RADIUS_KM, buildDateFilter, buildRadiusFilter, buildSearchFilter, getPaginationParams } from '../utils/queryHelper.js';
 import { sendSuccess, sendPaginated, sendError } from '../utils/responseHelper.js';
+import { getOrCreateConversation } from '../services/chatService.js';
+import { notifyOrderStatus, recordOrderEvent } from '../services/orderService.js';
+import { haversineSql } from '../services/routeService.js';
+import { notifySavedSearchMatches } from '../services/savedSearchService.js';
+import { logger } from '../utils/logger.js';
 
 const prisma = new PrismaClient();
 
+// Escape LIKE wildcards so search terms match literally, as Prisma's `contains` does
+const likePattern = (term) => `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+/**
+ * One page of listings within radiusKm of origin, filtered and ordered in SQL.
+ * Takes the same filters getListings builds its Prisma `where` from.
+ * Returns the page's ids with their distance, and the total number of matches.
+ */
+async function findNearbyListings({ userId, marketplace, visibleRoles, statuses, material, minWeightKg, startDate, endDate, search }, origin, radiusKm, { sortBy, skip, take }) {
+  const box = buildRadiusFilter(origin.latitude, origin.longitude, radiusKm);
+  const conditions = [
+    Prisma.sql`l."latitude" BETWEEN ${box.latitude.gte} AND ${box.latitude.lte}`,
+    Prisma.sql`l."longitude" BETWEEN ${box.longitude.gte} AND ${box.longitude.lte}`,
+    marketplace ? Prisma.sql`l."userId" <> ${userId}` : Prisma.sql`l."userId" = ${userId}`
+  ];
+  if (statuses) conditions.push(Prisma.sql`l."status" IN (${Prisma.join(statuses)})`);
+  if (visibleRoles) conditions.push(Prisma.sql`u."role" IN (${Prisma.join(visibleRoles)})`);
+  if (material) conditions.push(Prisma.sql`LOWER(l."materialType") = LOWER(${material})`);
+  if (minWeightKg !== null) conditions.push(Prisma.sql`l."estimatedWeight" >= ${minWeightKg}`);
+  if (startDate) conditions.push(Prisma.sql`l."createdAt" >= ${new Date(startDate)}`);
+  if (endDate) conditions.push(Prisma.sql`l."createdAt" <= ${new Date(endDate)}`);
+  if (search) {
+    const pattern = likePattern(search);
+    conditions.push(Prisma.sql`(l."materialType" ILIKE ${pattern} OR l."pickupAddress" ILIKE ${pattern} OR l."notes" ILIKE ${pattern})`);
+  }
+
+  // The box is a cheap, indexable pre-filter; its corners lie beyond the radius
+  const nearby = Prisma.sql`
+    SELECT l."id", l."createdAt", ${haversineSql(Prisma.raw('l'), origin)} AS "distanceKm"
+    FROM "Listing" l
+    JOIN "User" u ON u."id" = l."userId"
+    WHERE ${Prisma.join(conditions, ' AND ')}`;
+  const orderBy = sortBy === 'distance'
+    ? Prisma.sql`"distanceKm" ASC, "createdAt" DESC`
+    : Prisma.sql`"createdAt" DESC`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "id", "distanceKm" FROM (${nearby}) AS nearby
+      WHERE "distanceKm" <= ${radiusKm}
+      ORDER BY ${orderBy}
+      LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total" FROM (${nearby}) AS nearby
+      WHERE "distanceKm" <= ${radiusKm}`
+  ]);
+
+  return { rows, total };
+}
+
 /**
  * Create a new listing
  * POST /api/listings
@@ -110,6 +165,10 @@ export const createListing = async (req, res) => {
     });
 
     sendSuccess(res, 'Listing created successfully', listing, 201);
+
+    // Alert saved searches in the background; the listing is created either way
+    notifySavedSearchMatches(listing)
+      .catch(err => logger.error(`Saved search alerts for listing ${listing.id} failed: ${err.message}`));
   } catch (error) {
     sendError(res, 'Failed to create listing', error);
   }
@@ -128,11 +187,43 @@ export const getListings = async (req, res) => {
       startDate,
       endDate,
       search,
+      minWeight,
+      lat,
+      lng,
+      radiusKm,
+      sortBy, // 'createdAt' (default) or 'distance'
       page = 1,
       limit = 10,
       view // 'marketplace' or 'my_listings' (default)
     } = req.query;
 
+    // Geo search: distance from lat/lng, within radiusKm (DEFAULT_RADIUS_KM when not given)
+    let origin = null;
+    let radius = null;
+    if (lat !== undefined || lng !== undefined || radiusKm !== undefined) {
+      origin = { latitude: parseFloat(lat), longitude: parseFloat(lng) };
+      if (!Number.isFinite(origin.latitude) || !Number.isFinite(origin.longitude) ||
+        Math.abs(origin.latitude) > 90 || Math.abs(origin.longitude) > 180) {
+        return sendError(res, 'lat and lng must be valid coordinates', null, 400);
+      }
+      radius = radiusKm !== undefined ? parseFloat(radiusKm) : DEFAULT_RADIUS_KM;
+      if (!(radius > 0)) {
+        return sendError(res, 'radiusKm must be greater than 0', null, 400);
+      }
+    }
+
+    let minWeightKg = null;
+    if (minWeight !== undefined && minWeight !== '') {
+      minWeightKg = parseFloat(minWeight);
+      if (!Number.isFinite(minWeightKg)) {
+        return sendError(res, 'minWeight must be a number', null, 400);
+      }
+    }
+
+    if (sortBy === 'distance' && !origin) {
+      return sendError(res, 'lat and lng are required to sort by distance', null, 400);
+    }
+
     // Build filter conditions
     const where = {};
 
@@ -142,17 +233,20 @@ export const getListings = async (req, res) => {
     // Individual: sees Individual + Warehouse
     // Warehouse: sees ALL (Individual + Warehouse + Company)
     // Company: sees Company + Warehouse
-    if (view === 'marketplace') {
+    const marketplace = view === 'marketplace';
+    let visibleRoles = null;
+    let statuses = null;
+    if (marketplace) {
       const userRole = req.user.role;
       where.userId = { not: userId };
-      where.status = { in: [ListingStatus.PENDING, ListingStatus.ACCEPTED] };
+      statuses = [ListingStatus.PENDING, ListingStatus.ACCEPTED];
 
       if (userRole === 'INDIVIDUAL') {
         // Can see Individual and Warehouse listings
-        where.user = { role: { in: ['INDIVIDUAL', 'WAREHOUSE'] } };
+        visibleRoles = ['INDIVIDUAL', 'WAREHOUSE'];
       } else if (userRole === 'COMPANY') {
         // Can see Company and Warehouse listings
-        where.user = { role: { in: ['COMPANY', 'WAREHOUSE'] } };
+        visibleRoles = ['COMPANY', 'WAREHOUSE'];
       }
       // Warehouse sees everything (no extra filter needed)
     } else {
@@ -160,8 +254,11 @@ export const getListings = async (req, res) => {
     }
 
     // Add other filters
+    if (status) statuses = [status];
+    if (statuses) where.status = { in: statuses };
+    if (visibleRoles) where.user = { role: { in: visibleRoles } };
     if (material) where.materialType = { equals: material, mode: 'insensitive' };
-    if (status) where.status = status;
+    if (minWeightKg !== null) where.estimatedWeight = { gte: minWeightKg };
 
     // Use helpers for date and search
     Object.assign(where, buildDateFilter(startDate, endDate));
@@ -170,36 +267,52 @@ export const getListings = async (req, res) => {
       Object.assign(where, buildSearchFilter(search, ['materialType', 'pickupAddress', 'notes']));
     }
 
+    const include = {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          contactNo: true
+        }
+      }
+    };
 
+    const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
 
+    if (origin) {
+      const { rows, total } = await findNearbyListings(
+        { userId, marketplace, visibleRoles, statuses, material, minWeightKg, startDate, endDate, search },
+        origin,
+        radius,
+        { sortBy, skip, take }
+      );
+
+      const found = await prisma.listing.findMany({
+        where: { id: { in: rows.map(row => row.id) } },
+        include
+      });
+      const byId = new Map(found.map(listing => [listing.id, listing]));
+      const listings = rows.map(row => ({
+        ...byId.get(row.id),
+        distanceKm: parseFloat(Number(row.distanceKm).toFixed(2))
+      }));
+
+      return sendPaginated(res, listings, total, pageNum, limitNum);
+    }
 
     // Get total count
     const totalCount = await prisma.listing.count({ where });
 
     // Get paginated listings
-    const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
-
     const listings = await prisma.listing.findMany({
       where,
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            contactNo: true
-          }
-        }
-      },
+      include,
       orderBy: { createdAt: 'desc' },
       skip,
       take
     });
 
-
-
-
-
     sendPaginated(res, listings, totalCount, pageNum, limitNum);
   } catch (error) {
     sendError(res, 'Failed to fetch listings', error);
@@ -227,12 +340,14 @@ export const getListingStats = async (req, res) => {
       },
       select: {
         estimatedWeight: true,
+        actualWeight: true,
         materialType: true
       }
     });
 
+    // Weighed quantity once picked up, the seller's estimate until then
     const totalWeight = completedListings.reduce(
-      (sum, listing) => sum + listing.estimatedWeight,
+      (sum, listing) => sum + (listing.actualWeight ?? listing.estimatedWeight),
       0
     );
 
@@ -242,7 +357,7 @@ export const getListingStats = async (req, res) => {
         acc[listing.materialType] = { count: 0, weight: 0 };
       }
       acc[listing.materialType].count += 1;
-      acc[listing.materialType].weight += listing.estimatedWeight;
+      acc[listing.materialType].weight += listing.actualWeight ?? listing.estimatedWeight;
       return acc;
     }, {});
 
@@ -327,6 +442,12 @@ export const getListingById = async (req, res) => {
             contactNo: true,
             profileImage: true
           }
+        },
+        buyer: {
+          select: { id: true, name: true, businessName: true, contactNo: true }
+        },
+        order: {
+          select: { id: true, status: true }
         }
       }
     });
@@ -335,12 +456,137 @@ export const getListingById = async (req, res) => {
       return sendError(res, 'Listing not found', null, 404);
     }
 
-    sendSuccess(res, 'Listing details fetched successfully', listing);
+    // The viewer's existing chat with the owner about this listing, if any
+    const conversation = listing.userId === req.user.id ? null : await prisma.conversation.findFirst({
+      where: {
+        listingId: listing.id,
+        OR: [
+          { participant1Id: req.user.id, participant2Id: listing.userId },
+          { participant1Id: listing.userId, participant2Id: req.user.id }
+        ]
+      },
+      select: { id: true }
+    });
+
+    sendSuccess(res, 'Listing details fetched successfully', {
+      ...listing,
+      conversationId: conversation?.id || null
+    });
   } catch (error) {
     sendError(res, 'Failed to fetch listing details', error);
   }
 };
 
+/**
+ * Start (or reopen) a chat with the listing owner about this listing
+ * POST /api/listings/:id/chat
+ */
+export const startListingChat = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { conversation, created } = await getOrCreateConversation(req.user.id, { listingId: id });
+
+    const otherParticipant = conversation.participant1Id === req.user.id
+      ? conversation.participant2
+      : conversation.participant1;
+
+    sendSuccess(res, 'Conversation retrieved', {
+      id: conversation.id,
+      otherParticipant,
+      listing: conversation.listing
+    }, created ? 201 : 200);
+  } catch (error) {
+    if (error.status) return sendError(res, error.message, null, error.status);
+    sendError(res, 'Failed to start listing chat', error);
+  }
+};
+
+/**
+ * Accept a listing as a buyer, turning it into an order
+ * POST /api/listings/:id/accept
+ */
+export const acceptListing = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const buyerId = req.user.id;
+    const { paymentMethod } = req.body;
+
+    if (paymentMethod && !Object.values(PaymentMethod).includes(paymentMethod)) {
+      return sendError(res, `Payment method must be one of: ${Object.values(PaymentMethod).join(', ')}`, null, 400);
+    }
+
+    const listing = await prisma.listing.findUnique({
+      where: { id: parseInt(id) }
+    });
+
+    if (!listing) {
+      return sendError(res, 'Listing not found', null, 404);
+    }
+
+    if (listing.userId === buyerId) {
+      return sendError(res, 'You cannot accept your own listing', null, 400);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claim the listing only if it is still open; a concurrent accept finds nothing to update
+      const { count } = await tx.listing.updateMany({
+        where: { id: listing.id, status: ListingStatus.PENDING, buyerId: null },
+        data: {
+          status: ListingStatus.ACCEPTED,
+          buyerId,
+          acceptedAt: new Date()
+        }
+      });
+
+      if (count === 0) return null;
+
+      const order = await tx.order.create({
+        data: {
+          buyerId,
+          sellerId: listing.userId,
+          listingId: listing.id,
+          materialType: listing.materialType,
+          weight: listing.estimatedWeight,
+          pickupAddress: listing.pickupAddress,
+          latitude: listing.latitude,
+          longitude: listing.longitude,
+          locationMethod: listing.locationMethod || 'manual',
+          paymentMethod: paymentMethod || PaymentMethod.COD
+        }
+      });
+
+      await recordOrderEvent(tx, {
+        orderId: order.id,
+        toStatus: order.status,
+        actorId: buyerId,
+        note: `Accepted from listing #${listing.id}`
+      });
+
+      const accepted = await tx.listing.findUnique({
+        where: { id: listing.id },
+        include: {
+          buyer: {
+            select: { id: true, name: true, businessName: true, contactNo: true }
+          }
+        }
+      });
+
+      return { listing: accepted, order };
+    });
+
+    if (!result) {
+      return sendError(res, 'Listing is no longer available', null, 409);
+    }
+
+    await notifyOrderStatus(result.order, null, buyerId);
+
+    sendSuccess(res, 'Listing accepted successfully', result, 201);
+  } catch (error) {
+    sendError(res, 'Failed to accept listing', error);
+  }
+};
+
 /**
  * Update listing status
  * PUT /api/listings/:id
@@ -360,6 +606,11 @@ export const updateListingStatus = async (req, res) => {
       return sendError(res, 'Listing not found', null, 404);
     }
 
+    // Once accepted, the listing follows its order's status
+    if (listing.buyerId || status === ListingStatus.ACCEPTED) {
+      return sendError(res, 'Accepted listings change status through their order', null, 400);
+    }
+
     // Update listing
     const updated = await prisma.listing.update({
       where: { id: parseInt(id) },
@@ -393,6 +644,10 @@ export const deleteListing = async (req, res) => {
       return sendError(res, 'Listing not found', null, 404);
     }
 
+    if (listing.buyerId) {
+      return sendError(res, 'Accepted listings cannot be deleted', null, 400);
+    }
+
     // Delete listing
     await prisma.listing.delete({
       where: { id: parseInt(id) }
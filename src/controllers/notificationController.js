@@ -0,0 +1,153 @@
+import { PrismaClient } from '@prisma/client';
+import { countUnread } from '../services/notificationService.js';
+import { DevicePlatform, registerDeviceToken, unregisterDeviceToken } from '../services/pushService.js';
+import { getPaginationParams } from '../utils/queryHelper.js';
+import { sendSuccess, sendError } from '../utils/responseHelper.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * List the user's notifications, newest first, with the unread count
+ * GET /api/notifications
+ */
+export const getNotifications = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { unread, type, page = 1, limit = 20 } = req.query;
+
+        const where = { userId };
+        if (unread === 'true') where.readAt = null;
+        if (type) where.type = type;
+
+        const { skip, take, page: pageNum, limit: limitNum } = getPaginationParams(page, limit);
+
+        const [notifications, totalCount, unreadCount] = await Promise.all([
+            prisma.notification.findMany({
+                where,
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                skip,
+                take
+            }),
+            prisma.notification.count({ where }),
+            countUnread(userId)
+        ]);
+
+        res.json({
+            success: true,
+            data: notifications,
+            unreadCount,
+            pagination: {
+                total: totalCount,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(totalCount / limitNum)
+            }
+        });
+    } catch (error) {
+        sendError(res, 'Failed to fetch notifications', error);
+    }
+};
+
+/**
+ * Unread notification count, for the badge
+ * GET /api/notifications/unread-count
+ */
+export const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await countUnread(req.user.id);
+        sendSuccess(res, 'Unread count fetched', { unreadCount });
+    } catch (error) {
+        sendError(res, 'Failed to fetch unread count', error);
+    }
+};
+
+/**
+ * Mark one notification as read
+ * PUT /api/notifications/:id/read
+ */
+export const markNotificationRead = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const notification = await prisma.notification.findFirst({
+            where: { id: parseInt(req.params.id), userId }
+        });
+
+        if (!notification) {
+            return sendError(res, 'Notification not found', null, 404);
+        }
+
+        const updated = notification.readAt
+            ? notification
+            : await prisma.notification.update({
+                where: { id: notification.id },
+                data: { readAt: new Date() }
+            });
+
+        sendSuccess(res, 'Notification marked as read', {
+            notification: updated,
+            unreadCount: await countUnread(userId)
+        });
+    } catch (error) {
+        sendError(res, 'Failed to mark notification as read', error);
+    }
+};
+
+/**
+ * Mark all of the user's notifications as read
+ * PUT /api/notifications/read-all
+ */
+export const markAllNotificationsRead = async (req, res) => {
+    try {
+        const { count } = await prisma.notification.updateMany({
+            where: { userId: req.user.id, readAt: null },
+            data: { readAt: new Date() }
+        });
+
+        sendSuccess(res, 'All notifications marked as read', { updated: count, unreadCount: 0 });
+    } catch (error) {
+        sendError(res, 'Failed to mark notifications as read', error);
+    }
+};
+
+/**
+ * Register the app install's push token for the current user
+ * POST /api/notifications/devices
+ */
+export const registerDevice = async (req, res) => {
+    try {
+        const { token, platform = 'android' } = req.body;
+
+        if (!token || typeof token !== 'string') {
+            return sendError(res, 'Device token is required', null, 400);
+        }
+
+        if (!DevicePlatform.includes(platform)) {
+            return sendError(res, `Platform must be one of ${DevicePlatform.join(', ')}`, null, 400);
+        }
+
+        const device = await registerDeviceToken(req.user.id, { token, platform });
+
+        sendSuccess(res, 'Device registered for push notifications', device, 201);
+    } catch (error) {
+        sendError(res, 'Failed to register device', error);
+    }
+};
+
+/**
+ * Stop pushes to a device, e.g. on logout
+ * DELETE /api/notifications/devices/:token
+ */
+export const unregisterDevice = async (req, res) => {
+    try {
+        const removed = await unregisterDeviceToken(req.user.id, req.params.token);
+
+        if (!removed) {
+            return sendError(res, 'Device not found', null, 404);
+        }
+
+        sendSuccess(res, 'Device unregistered');
+    } catch (error) {
+        sendError(res, 'Failed to unregister device', error);
+    }
+};
@@ -1,5 +1,9 @@
 import { PrismaClient } from '@prisma/client';
-import { OrderStatus, PaymentMethod } from '../constants/enums.js';
+import { OrderStatus, PaymentMethod, UserRole } from '../constants/enums.js';
+import { receiveOrderIntoInventory } from '../services/inventoryService.js';
+import { applyOrderFinancials } from '../services/financeService.js';
+import { assertOrderTransition, notifyOrderStatus, parseEventLocation, recordOrderEvent, syncOrderListing } from '../services/orderService.js';
+import { cancelCollectionJob } from '../services/jobService.js';
 import { buildDateFilter, buildSearchFilter, getPaginationParams } from '../utils/queryHelper.js';
 import { sendSuccess, sendPaginated, sendError } from '../utils/responseHelper.js';
 
@@ -34,40 +38,52 @@ export const createOrder = async (req, res) => {
             return sendError(res, 'Weight must be greater than 0', null, 400);
         }
 
-        // Create order
-        const order = await prisma.order.create({
-            data: {
-                buyerId,
-                sellerId: parseInt(sellerId),
-                materialType,
-                weight: parseFloat(weight),
-                pickupAddress,
-                latitude: latitude ? parseFloat(latitude) : null,
-                longitude: longitude ? parseFloat(longitude) : null,
-                locationMethod: locationMethod || 'manual',
-                paymentMethod: paymentMethod || PaymentMethod.COD
-            },
-            include: {
-                buyer: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true,
-                        contactNo: true
-                    }
+        // Create order and open its timeline
+        const order = await prisma.$transaction(async (tx) => {
+            const created = await tx.order.create({
+                data: {
+                    buyerId,
+                    sellerId: parseInt(sellerId),
+                    materialType,
+                    weight: parseFloat(weight),
+                    pickupAddress,
+                    latitude: latitude ? parseFloat(latitude) : null,
+                    longitude: longitude ? parseFloat(longitude) : null,
+                    locationMethod: locationMethod || 'manual',
+                    paymentMethod: paymentMethod || PaymentMethod.COD
                 },
-                seller: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true,
-                        contactNo: true,
-                        address: true
+                include: {
+                    buyer: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true,
+                            contactNo: true
+                        }
+                    },
+                    seller: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true,
+                            contactNo: true,
+                            address: true
+                        }
                     }
                 }
-            }
+            });
+
+            await recordOrderEvent(tx, {
+                orderId: created.id,
+                toStatus: created.status,
+                actorId: buyerId
+            });
+
+            return created;
         });
 
+        await notifyOrderStatus(order, null, buyerId);
+
         sendSuccess(res, 'Order placed successfully', order, 201);
     } catch (error) {
         sendError(res, 'Failed to create order', error);
@@ -276,13 +292,13 @@ export const exportOrders = async (req, res) => {
 };
 
 /**
- * Update order status
+ * Move an order to its next status, as allowed by ORDER_TRANSITIONS
  * PUT /api/orders/:id/status
  */
 export const updateOrderStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status } = req.body;
+        const { status, note } = req.body;
         const userId = req.user.id;
 
         // Check if order belongs to the user (as buyer or seller)
@@ -293,6 +309,9 @@ export const updateOrderStatus = async (req, res) => {
                     { buyerId: userId },
                     { sellerId: userId }
                 ]
+            },
+            include: {
+                buyer: { select: { role: true } }
             }
         });
 
@@ -300,30 +319,185 @@ export const updateOrderStatus = async (req, res) => {
             return sendError(res, 'Order not found', null, 404);
         }
 
-        // Update order
-        const updated = await prisma.order.update({
-            where: { id: parseInt(id) },
-            data: { status },
-            include: {
-                buyer: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
-                    }
-                },
-                seller: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
+        const party = assertOrderTransition(order, userId, status);
+        const location = parseEventLocation(req.body.latitude, req.body.longitude);
+
+        const updated = await prisma.$transaction(async (tx) => {
+            // Only move from the status we checked, so concurrent updates can't both apply
+            const { count } = await tx.order.updateMany({
+                where: { id: order.id, status: order.status },
+                data: { status }
+            });
+            if (count === 0) return null;
+
+            await syncOrderListing(tx, order, status);
+
+            const result = await tx.order.findUnique({
+                where: { id: order.id },
+                include: {
+                    buyer: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
+                    },
+                    seller: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
                     }
                 }
+            });
+
+            await tx.activityLog.create({
+                data: {
+                    userId,
+                    actorRole: req.user.role,
+                    action: 'ORDER_STATUS_CHANGED',
+                    resourceType: 'order',
+                    resourceId: order.id.toString(),
+                    meta: { from: order.status, to: status, party }
+                }
+            });
+
+            await recordOrderEvent(tx, {
+                orderId: order.id,
+                fromStatus: order.status,
+                toStatus: status,
+                actorId: userId,
+                note: note || null,
+                ...location
+            });
+
+            if (status === OrderStatus.CANCELLED) {
+                await cancelCollectionJob(tx, order.id);
             }
+
+            if (status === OrderStatus.COMPLETED) {
+                // Price the order before intake so new stock picks up its unit cost
+                const financials = await applyOrderFinancials(tx, result);
+                if (financials) Object.assign(result, financials);
+
+                // Completed purchases by a warehouse land in its inventory
+                if (order.buyer.role === UserRole.WAREHOUSE) {
+                    await receiveOrderIntoInventory(tx, result, userId);
+                }
+            }
+
+            return result;
         });
 
+        if (!updated) {
+            return sendError(res, 'Order status was changed by someone else, please retry', null, 409);
+        }
+
+        await notifyOrderStatus(updated, order.status, userId);
+
         sendSuccess(res, 'Order updated successfully', updated);
     } catch (error) {
+        if (error.status) return sendError(res, error.message, null, error.status);
         sendError(res, 'Failed to update order', error);
     }
 };
+
+/**
+ * Status history of an order, oldest first
+ * GET /api/orders/:id/timeline
+ */
+export const getOrderTimeline = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        // Parties to the order can see its history; admins can for disputes
+        const order = await prisma.order.findFirst({
+            where: {
+                id: parseInt(id),
+                ...(req.user.role !== UserRole.ADMIN && {
+                    OR: [
+                        { buyerId: userId },
+                        { sellerId: userId }
+                    ]
+                })
+            },
+            select: { id: true, status: true, createdAt: true }
+        });
+
+        if (!order) {
+            return sendError(res, 'Order not found', null, 404);
+        }
+
+        const events = await prisma.orderEvent.findMany({
+            where: { orderId: order.id },
+            include: {
+                actor: {
+                    select: { id: true, name: true, role: true }
+                }
+            },
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        });
+
+        sendSuccess(res, 'Order timeline fetched successfully', {
+            orderId: order.id,
+            status: order.status,
+            events: events.map(event => ({
+                id: event.id,
+                fromStatus: event.fromStatus,
+                toStatus: event.toStatus,
+                actor: event.actor,
+                note: event.note,
+                location: event.latitude != null
+                    ? { latitude: event.latitude, longitude: event.longitude }
+                    : null,
+                createdAt: event.createdAt
+            }))
+        });
+    } catch (error) {
+        sendError(res, 'Failed to fetch order timeline', error);
+    }
+};
+
+/**
+ * Confirmation code the seller hands to the collector at pickup
+ * GET /api/orders/:id/pickup-code
+ */
+export const getPickupCode = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const order = await prisma.order.findFirst({
+            where: { id: parseInt(id), sellerId: req.user.id },
+            select: {
+                id: true,
+                collectionJob: {
+                    select: {
+                        status: true,
+                        confirmationCode: true,
+                        assignedAt: true,
+                        collector: {
+                            select: { id: true, collectorId: true, name: true, contactNo: true }
+                        }
+                    }
+                }
+            }
+        });
+
+        if (!order) {
+            return sendError(res, 'Order not found', null, 404);
+        }
+
+        if (!order.collectionJob) {
+            return sendError(res, 'No collector has been assigned to this order yet', null, 404);
+        }
+
+        sendSuccess(res, 'Pickup code fetched successfully', {
+            orderId: order.id,
+            ...order.collectionJob
+        });
+    } catch (error) {
+        sendError(res, 'Failed to fetch pickup code', error);
+    }
+};
@@ -39,14 +39,14 @@ export const getDashboardStats = async (req, res) => {
             where: { sellerId: userId }
         });
 
-        // Get total weight sold
+        // Get total weight sold (weighed quantity once picked up)
         const soldListings = await prisma.listing.findMany({
             where: { userId, status: ListingStatus.COMPLETED },
-            select: { estimatedWeight: true }
+            select: { estimatedWeight: true, actualWeight: true }
         });
 
         const totalWeightSold = soldListings.reduce(
-            (sum, listing) => sum + listing.estimatedWeight,
+            (sum, listing) => sum + (listing.actualWeight ?? listing.estimatedWeight),
             0
         );
 
@@ -166,6 +166,7 @@ export const getTrends = async (req, res) => {
             select: {
                 materialType: true,
                 estimatedWeight: true,
+                actualWeight: true,
                 status: true,
                 createdAt: true
             }
@@ -195,7 +196,7 @@ export const getTrends = async (req, res) => {
                 acc[month][listing.materialType] = { count: 0, weight: 0 };
             }
             acc[month][listing.materialType].count += 1;
-            acc[month][listing.materialType].weight += listing.estimatedWeight;
+            acc[month][listing.materialType].weight += listing.actualWeight ?? listing.estimatedWeight;
             return acc;
         }, {});
 
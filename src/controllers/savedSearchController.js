@@ -0,0 +1,108 @@
+import { PrismaClient } from '@prisma/client';
+import { MAX_SAVED_SEARCHES, parseSavedSearch } from '../services/savedSearchService.js';
+import { sendSuccess, sendError } from '../utils/responseHelper.js';
+
+const prisma = new PrismaClient();
+
+// Saved columns back in getListings query terms, so updates can merge onto them
+const toFilterSet = (saved) => ({
+    name: saved.name,
+    material: saved.materialType,
+    lat: saved.latitude,
+    lng: saved.longitude,
+    radiusKm: saved.radiusKm,
+    minWeight: saved.minWeight,
+    search: saved.search,
+    notifyEmail: saved.notifyEmail,
+    notifyInApp: saved.notifyInApp
+});
+
+/**
+ * Save a marketplace filter set to be notified about new matching listings
+ * POST /api/saved-searches
+ */
+export const createSavedSearch = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const data = parseSavedSearch(req.body);
+
+        const count = await prisma.savedSearch.count({ where: { userId } });
+        if (count >= MAX_SAVED_SEARCHES) {
+            return sendError(res, `You can keep at most ${MAX_SAVED_SEARCHES} saved searches`, null, 400);
+        }
+
+        const saved = await prisma.savedSearch.create({
+            data: { ...data, userId }
+        });
+
+        sendSuccess(res, 'Search saved successfully', saved, 201);
+    } catch (error) {
+        if (error.status) return sendError(res, error.message, null, error.status);
+        sendError(res, 'Failed to save search', error);
+    }
+};
+
+/**
+ * List the user's saved searches
+ * GET /api/saved-searches
+ */
+export const getSavedSearches = async (req, res) => {
+    try {
+        const searches = await prisma.savedSearch.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        sendSuccess(res, 'Saved searches fetched successfully', searches);
+    } catch (error) {
+        sendError(res, 'Failed to fetch saved searches', error);
+    }
+};
+
+/**
+ * Change a saved search's filters or notification settings
+ * PUT /api/saved-searches/:id
+ */
+export const updateSavedSearch = async (req, res) => {
+    try {
+        const existing = await prisma.savedSearch.findFirst({
+            where: { id: parseInt(req.params.id), userId: req.user.id }
+        });
+
+        if (!existing) {
+            return sendError(res, 'Saved search not found', null, 404);
+        }
+
+        const data = parseSavedSearch({ ...toFilterSet(existing), ...req.body });
+
+        const saved = await prisma.savedSearch.update({
+            where: { id: existing.id },
+            data
+        });
+
+        sendSuccess(res, 'Saved search updated successfully', saved);
+    } catch (error) {
+        if (error.status) return sendError(res, error.message, null, error.status);
+        sendError(res, 'Failed to update saved search', error);
+    }
+};
+
+/**
+ * Delete a saved search
+ * DELETE /api/saved-searches/:id
+ */
+export const deleteSavedSearch = async (req, res) => {
+    try {
+        const { count } = await prisma.savedSearch.deleteMany({
+            where: { id: parseInt(req.params.id), userId: req.user.id }
+        });
+
+        if (count === 0) {
+            return sendError(res, 'Saved search not found', null, 404);
+        }
+
+        sendSuccess(res, 'Saved search deleted successfully');
+    } catch (error) {
+        sendError(res, 'Failed to delete saved search', error);
+    }
+};
@@ -4,10 +4,19 @@ import { sendSuccess, sendError } from '../utils/responseHelper.js';
 
 const prisma = new PrismaClient();
 
+function transactionError(message, status = 400) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
 export async function createTransaction(req, res) {
     try {
         const buyerId = req.user.id;
-        const { itemId, quantity } = req.body;
+        const { itemId } = req.body;
+        const quantity = parseFloat(req.body.quantity);
+
+        if (!(quantity > 0)) return sendError(res, 'Quantity must be greater than 0', null, 400);
 
         const item = await prisma.item.findUnique({ where: { id: parseInt(itemId) } });
         if (!item) return sendError(res, 'Item not found', null, 404);
@@ -22,20 +31,22 @@ export async function createTransaction(req, res) {
                     buyerId,
                     sellerId: item.sellerId,
                     itemId: parseInt(itemId),
-                    quantity: parseFloat(quantity),
+                    quantity,
                     totalAmount,
                     status: TransactionStatus.PENDING
                 }
             });
 
-            // Update item quantity or status
-            const newQuantity = item.quantity - quantity;
-            await tx.item.update({
-                where: { id: item.id },
-                data: {
-                    quantity: newQuantity,
-                    status: newQuantity <= 0 ? ItemStatus.SOLD : ItemStatus.AVAILABLE
-                }
+            // Conditional decrement so two buyers cannot oversell the same stock
+            const { count } = await tx.item.updateMany({
+                where: { id: item.id, status: ItemStatus.AVAILABLE, quantity: { gte: quantity } },
+                data: { quantity: { decrement: quantity } }
+            });
+            if (count === 0) throw transactionError('Insufficient quantity');
+
+            await tx.item.updateMany({
+                where: { id: item.id, quantity: { lte: 0 } },
+                data: { status: ItemStatus.SOLD }
             });
 
             return txRecord;
@@ -43,6 +54,7 @@ export async function createTransaction(req, res) {
 
         sendSuccess(res, 'Transaction created successfully', transaction, 201);
     } catch (err) {
+        if (err.status) return sendError(res, err.message, null, err.status);
         sendError(res, 'Failed to create transaction', err);
     }
 }
@@ -85,6 +97,10 @@ export async function updateTransactionStatus(req, res) {
         const userId = req.user.id;
         const role = req.user.role;
 
+        if (!Object.values(TransactionStatus).includes(status)) {
+            return sendError(res, `Status must be one of: ${Object.values(TransactionStatus).join(', ')}`, null, 400);
+        }
+
         const transaction = await prisma.transaction.findUnique({ where: { id: parseInt(id) } });
         if (!transaction) return sendError(res, 'Transaction not found', null, 404);
 
@@ -93,11 +109,39 @@ export async function updateTransactionStatus(req, res) {
             return sendError(res, 'Unauthorized', null, 403);
         }
 
-        const updated = await prisma.transaction.update({
-            where: { id: parseInt(id) },
-            data: { status }
+        // Completed and cancelled transactions are final; only pending ones can be cancelled
+        if (transaction.status !== TransactionStatus.PENDING) {
+            return sendError(res, 'Only pending transactions can be changed', null, 400);
+        }
+
+        const updated = await prisma.$transaction(async (tx) => {
+            // Conditional update so two concurrent cancellations can't both restore stock
+            const { count } = await tx.transaction.updateMany({
+                where: { id: transaction.id, status: TransactionStatus.PENDING },
+                data: { status }
+            });
+            if (count === 0) return null;
+
+            if (status === TransactionStatus.CANCELLED) {
+                const item = await tx.item.update({
+                    where: { id: transaction.itemId },
+                    data: { quantity: { increment: transaction.quantity } }
+                });
+
+                // Put sold-out items back on sale; removed items stay removed
+                if (item.status === ItemStatus.SOLD && item.quantity > 0) {
+                    await tx.item.update({
+                        where: { id: item.id },
+                        data: { status: ItemStatus.AVAILABLE }
+                    });
+                }
+            }
+
+            return tx.transaction.findUnique({ where: { id: transaction.id } });
         });
 
+        if (!updated) return sendError(res, 'Only pending transactions can be changed', null, 400);
+
         sendSuccess(res, 'Transaction status updated', updated);
     } catch (err) {
         sendError(res, 'Failed to update transaction status', err);
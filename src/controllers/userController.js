@@ -4,7 +4,9 @@ import fs from 'fs/promises';
 import cloudinary from '../config/cloudinary.js';
 import { extractTextFromUrl, extractCNIC, extractNTN } from '../services/ocrService.js';
 import { logger } from '../utils/logger.js';
-import { UserRole, VerificationStatus, KycStage } from '../constants/enums.js';
+import { UserRole, VerificationStatus, KycStage, NotificationType } from '../constants/enums.js';
+import { notify } from '../services/notificationService.js';
+import { SUPPORTED_LOCALES } from '../services/emailService.js';
 import { sendSuccess, sendError } from '../utils/responseHelper.js';
 
 const prisma = new PrismaClient();
@@ -40,6 +42,7 @@ export async function getProfile(req, res) {
                 businessName: true,
                 companyName: true,
                 verificationStatus: true,
+                locale: true,
                 createdAt: true
             }
         });
@@ -103,7 +106,11 @@ export async function changePassword(req, res) {
 export async function updateProfile(req, res) {
     try {
         const userId = req.user.id;
-        const { name, email, contactNo, address, password, latitude, longitude, locationMethod } = req.body;
+        const { name, email, contactNo, address, password, latitude, longitude, locationMethod, locale } = req.body;
+
+        if (locale !== undefined && !SUPPORTED_LOCALES.includes(locale)) {
+            return sendError(res, `Locale must be one of ${SUPPORTED_LOCALES.join(', ')}`, null, 400);
+        }
 
         const updates = {};
         if (name) updates.name = name;
@@ -113,6 +120,7 @@ export async function updateProfile(req, res) {
         if (latitude !== undefined) updates.latitude = parseFloat(latitude);
         if (longitude !== undefined) updates.longitude = parseFloat(longitude);
         if (locationMethod) updates.locationMethod = locationMethod;
+        if (locale) updates.locale = locale;
 
         if (password) {
             updates.password = await bcrypt.hash(password, 10);
@@ -288,6 +296,8 @@ export async function requestRoleUpgrade(req, res) {
             });
         });
 
+        await notify(userId, NotificationType.ROLE_UPGRADED, { role: requestedRole, previousRole: currentRole });
+
         sendSuccess(res, 'Role upgrade approved successfully. Your account has been upgraded.');
     } catch (err) {
         sendError(res, 'Failed to process role upgrade request', err);
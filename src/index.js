@@ -19,9 +19,18 @@ import listingRoutes from "./routes/listingRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import reportRoutes from "./routes/reportRoutes.js";
 import adminReportRoutes from "./routes/adminReportRoutes.js";
+import chatRoutes from "./routes/chatRoutes.js";
+import transactionRoutes from "./routes/transactionRoutes.js";
+import savedSearchRoutes from "./routes/savedSearchRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
 
 import { errorHandler } from "./middlewares/errorMiddleware.js";
 import { logger, stream } from "./utils/logger.js";
+import { startStockAlertJob } from "./services/alertService.js";
+import { startEmailWorker } from "./services/emailQueueService.js";
+import { startWeeklySummaryJob } from "./services/summaryService.js";
+import { initSocket } from "./services/socketService.js";
+import { initPush } from "./services/pushService.js";
 
 import "./config/cloudinary.js";
 
@@ -30,6 +39,8 @@ const app = express();
 // Enable trust proxy to handle X-Forwarded-For headers from ngrok/Render
 app.set("trust proxy", 1);
 const httpServer = createServer(app);
+initSocket(httpServer);
+initPush();
 const PORT = process.env.PORT || 5000;
 
 
@@ -67,6 +78,10 @@ app.use("/api/listings", listingRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/reports", reportRoutes);
 app.use("/api/admin/reports", adminReportRoutes);
+app.use("/api/chat", chatRoutes);
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 
 app.get("/health", (req, res) => res.json({ ok: true }));
@@ -87,4 +102,8 @@ httpServer.listen(PORT, '0.0.0.0', () => {
         .catch(() => {
             // Ngrok not running or not accessible, ignore
         });
+
+    startStockAlertJob();
+    startWeeklySummaryJob();
+    startEmailWorker();
 });
@@ -4,6 +4,18 @@ import { sendError } from '../utils/responseHelper.js'
 
 const prisma = new PrismaClient()
 
+/**
+ * Verify an access token and load its user.
+ * Shared by the HTTP middleware and the WebSocket handshake.
+ * Returns null when the token is valid but the user no longer exists; throws on a bad token.
+ */
+export async function verifyAccessToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET)
+  const user = await prisma.user.findUnique({ where: { id: payload.userId } })
+  if (!user) return null
+  return { id: user.id, role: user.role, email: user.email, collectorId: user.collectorId }
+}
+
 export async function authenticateToken(req, res, next) {
   try {
     const authHeader = req.headers.authorization
@@ -11,10 +23,9 @@ export async function authenticateToken(req, res, next) {
       return sendError(res, 'Missing auth token', null, 401)
     }
     const token = authHeader.split(' ')[1]
-    const payload = jwt.verify(token, process.env.JWT_ACCESS_SECRET)
-    const user = await prisma.user.findUnique({ where: { id: payload.userId } })
+    const user = await verifyAccessToken(token)
     if (!user) return sendError(res, 'Invalid token', null, 401)
-    req.user = { id: user.id, role: user.role, email: user.email, collectorId: user.collectorId }
+    req.user = user
     next()
   } catch (err) {
     return sendError(res, 'Unauthorized', null, 401)
@@ -10,7 +10,11 @@ import {
   getUsers,
   suspendUser,
   updateRates,
-  getDashboardStats
+  getDashboardStats,
+  getEmailTemplates,
+  previewEmailTemplate,
+  getEmailOutbox,
+  retryFailedEmail
 } from "../controllers/adminController.js";
 
 const router = express.Router();
@@ -116,4 +120,122 @@ router.get("/kyc/pending", authenticateToken, permit("admin"), getPendingKYCUser
 router.post("/kyc/approve", authenticateToken, permit("admin"), approveKYC);
 router.post("/kyc/reject", authenticateToken, permit("admin"), rejectKYC);
 
+// Email Templates
+
+/**
+ * @swagger
+ * /api/admin/email-templates:
+ *   get:
+ *     summary: List transactional email templates with their variables and locales
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email templates
+ *       403:
+ *         description: Forbidden
+ */
+router.get("/email-templates", authenticateToken, permit("admin"), getEmailTemplates);
+
+/**
+ * @swagger
+ * /api/admin/email-templates/{name}/preview:
+ *   get:
+ *     summary: Preview an email template rendered with sample values
+ *     description: Any template variable can be passed as a query parameter to override its sample value.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [OTP, PASSWORD_RESET, KYC_APPROVED, KYC_REJECTED, ORDER_UPDATE, WEEKLY_SUMMARY]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [en, ur]
+ *           default: en
+ *       - in: query
+ *         name: format
+ *         description: Set to html to get the rendered html page instead of JSON
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *     responses:
+ *       200:
+ *         description: Rendered subject, text and html
+ *       404:
+ *         description: Email template not found
+ */
+router.get("/email-templates/:name/preview", authenticateToken, permit("admin"), previewEmailTemplate);
+
+// Email Queue
+
+/**
+ * @swagger
+ * /api/admin/emails:
+ *   get:
+ *     summary: List outgoing emails by status (dead-lettered sends by default) with counts per status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, SENDING, SENT, DEAD]
+ *           default: DEAD
+ *       - in: query
+ *         name: to
+ *         description: Filter by recipient address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Emails (without their bodies) with attempts and lastError, counts and pagination
+ *       400:
+ *         description: Unknown status
+ */
+router.get("/emails", authenticateToken, permit("admin"), getEmailOutbox);
+
+/**
+ * @swagger
+ * /api/admin/emails/{id}/retry:
+ *   post:
+ *     summary: Requeue a dead-lettered email with a fresh set of attempts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Email queued for retry
+ *       400:
+ *         description: Email is not dead-lettered, or carries a one-time code
+ *       404:
+ *         description: Email not found
+ */
+router.post("/emails/:id/retry", authenticateToken, permit("admin"), retryFailedEmail);
+
 export default router;
@@ -16,7 +16,11 @@ import {
   refreshToken,
   resendOtp,
   checkEmailExistence,
-  analyzeDocument
+  analyzeDocument,
+  registerWithPhone,
+  verifyPhoneRegistration,
+  requestPhoneLoginOtp,
+  loginWithPhone
 } from '../controllers/authController.js'
 import { authenticateToken } from "../middlewares/authMiddleware.js";
 
@@ -147,6 +151,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Code requested too recently or too often
  */
 
 /**
@@ -178,6 +184,8 @@ const router = express.Router();
  *         description: Invalid OTP
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many incorrect attempts, request a new code
  */
 
 /**
@@ -198,7 +206,7 @@ const router = express.Router();
  *             properties:
  *               identifier:
  *                 type: string
- *                 description: Email or Collector ID
+ *                 description: Email, Collector ID or phone number
  *               password:
  *                 type: string
  *                 minLength: 6
@@ -251,7 +259,7 @@ const router = express.Router();
  *                 format: email
  *     responses:
  *       200:
- *         description: OTP sent if account exists
+ *         description: OTP sent if the account exists and no code was sent too recently (the answer is the same either way)
  */
 
 /**
@@ -457,6 +465,127 @@ const router = express.Router();
  *         description: Invalid refresh token
  */
 
+/**
+ * @swagger
+ * /api/auth/phone/register:
+ *   post:
+ *     summary: Register an individual seller with a phone number (sends an SMS OTP)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - name
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "03001234567"
+ *                 description: Local (03xx) or international format
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Optional, for password login with the phone number
+ *               locale:
+ *                 type: string
+ *                 enum: [en, ur]
+ *     responses:
+ *       201:
+ *         description: OTP sent by SMS
+ *       400:
+ *         description: Invalid or already registered phone number
+ *       429:
+ *         description: Code requested too recently or too often
+ */
+
+/**
+ * @swagger
+ * /api/auth/phone/verify:
+ *   post:
+ *     summary: Verify the registration OTP; creates the account and logs in
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - otp
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account created, returns accessToken and refreshToken
+ *       400:
+ *         description: Invalid or expired OTP
+ */
+
+/**
+ * @swagger
+ * /api/auth/phone/request-otp:
+ *   post:
+ *     summary: Send a login OTP by SMS
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: OTP sent
+ *       404:
+ *         description: No account for this phone number
+ *       429:
+ *         description: Code requested too recently or too often
+ */
+
+/**
+ * @swagger
+ * /api/auth/phone/login:
+ *   post:
+ *     summary: Login with phone number and SMS OTP
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - otp
+ *             properties:
+ *               phone:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, returns accessToken and refreshToken
+ *       401:
+ *         description: Invalid or expired OTP
+ *       403:
+ *         description: Account blocked
+ *       429:
+ *         description: Too many incorrect attempts, request a new code
+ */
+
 // Enhanced validation rules
 const passwordValidation = body("password")
   .isLength({ min: 8 })
@@ -503,6 +632,11 @@ const otpValidation = body("otp")
   .isNumeric()
   .withMessage("OTP must contain only numbers");
 
+const phoneValidation = body("phone")
+  .trim()
+  .notEmpty()
+  .withMessage("Phone number is required");
+
 const collectorIdValidation = body("collectorId")
   .trim()
   .isLength({ min: 3, max: 20 })
@@ -626,4 +760,21 @@ router.post(
   createCollector
 );
 
+router.post(
+  "/phone/register",
+  [
+    phoneValidation,
+    body("name")
+      .trim()
+      .notEmpty()
+      .withMessage("Name is required")
+      .isLength({ max: 50 })
+      .withMessage("Name must be at most 50 characters")
+  ],
+  registerWithPhone
+);
+router.post("/phone/verify", [phoneValidation, otpValidation], verifyPhoneRegistration);
+router.post("/phone/request-otp", [phoneValidation], requestPhoneLoginOtp);
+router.post("/phone/login", [phoneValidation, otpValidation], loginWithPhone);
+
 export default router;
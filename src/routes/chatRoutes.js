@@ -7,15 +7,6 @@ import {
 } from '../controllers/chatController.js';
 import { authenticateToken } from '../middlewares/authMiddleware.js';
 
-import express from 'express';
-import {
-    getConversations,
-    getOrCreateConversation,
-    getMessages,
-    sendMessage,
-} from '../controllers/chatController.js';
-import { authenticateToken } from '../middlewares/authMiddleware.js';
-
 const router = express.Router();
 
 // Get all conversations for user
@@ -1,7 +1,11 @@
 import express from "express";
+import multer from "multer";
 import { authenticateToken } from "../middlewares/authMiddleware.js";
+import { permit } from "../middlewares/roleMiddleware.js";
+import { getCollectorJobs, updateJobStatus, getCollectorRoute } from "../controllers/collectionJobController.js";
 
 const router = express.Router();
+const photoUpload = multer({ dest: "uploads/" });
 
 /**
  * @swagger
@@ -59,4 +63,114 @@ router.get("/me", authenticateToken, (req, res) =>
   res.json({ success: true, data: req.user })
 );
 
+/**
+ * @swagger
+ * /api/collector/jobs:
+ *   get:
+ *     summary: Get assigned pickups
+ *     description: The collector's pickups with pickup address and coordinates, seller contact and drop-off warehouse. Open jobs (ASSIGNED, PICKED_UP) unless a status is given.
+ *     tags: [Collector]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ASSIGNED, PICKED_UP, DELIVERED, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Pickup jobs
+ *       403:
+ *         description: Only collectors can view pickups
+ */
+router.get("/jobs", authenticateToken, permit("collector"), getCollectorJobs);
+
+/**
+ * @swagger
+ * /api/collector/jobs/{id}/status:
+ *   put:
+ *     summary: Mark a pickup as picked up or delivered
+ *     description: |
+ *       ASSIGNED → PICKED_UP → DELIVERED. Picking up requires proof of collection: the weighed
+ *       quantity, the confirmation code the seller gives the collector, and up to 5 photos.
+ *       The weighed quantity replaces the order's weight (so reports and financials use it) and
+ *       the estimate-vs-actual variance is stored on the job. Picking up moves an ACCEPTED order
+ *       to IN_PROGRESS; both steps appear on the order timeline.
+ *     tags: [Collector]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [PICKED_UP, DELIVERED]
+ *               actualWeight:
+ *                 type: number
+ *                 description: Weighed quantity in kg (required for PICKED_UP)
+ *               confirmationCode:
+ *                 type: string
+ *                 description: Seller's 6-digit code (required for PICKED_UP)
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               note:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Job updated
+ *       400:
+ *         description: Invalid status, transition, weight or confirmation code
+ *       404:
+ *         description: Job not found
+ */
+router.put("/jobs/:id/status", authenticateToken, permit("collector"), photoUpload.array("photos", 5), updateJobStatus);
+
+/**
+ * @swagger
+ * /api/collector/route:
+ *   get:
+ *     summary: Get the optimized pickup route for a day
+ *     description: |
+ *       Orders the collector's waiting pickups (ASSIGNED by the end of the date) into a round trip
+ *       from the warehouse using a nearest-neighbour + 2-opt heuristic. Each stop carries the
+ *       estimated straight-line distance of the leg leading to it. Pickups without coordinates
+ *       are returned separately as unroutable.
+ *     tags: [Collector]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Ordered stops with leg and total distances in km
+ *       400:
+ *         description: Invalid date, or the warehouse has no location
+ */
+router.get("/route", authenticateToken, permit("collector"), getCollectorRoute);
+
 export default router;
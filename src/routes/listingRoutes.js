@@ -1,9 +1,12 @@
 import express from 'express';
 import { authenticateToken } from '../middlewares/authMiddleware.js';
+import { permit } from '../middlewares/roleMiddleware.js';
 import {
    createListing,
    getListings,
    getListingById,
+   startListingChat,
+   acceptListing,
    getListingStats,
    exportListings,
    updateListingStatus,
@@ -99,6 +102,37 @@ router.post('/', createListing);
  *         schema:
  *           type: string
  *       - in: query
+ *         name: minWeight
+ *         description: Only listings with at least this estimated weight (kg); must be a number
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: view
+ *         schema:
+ *           type: string
+ *           enum: [marketplace, my_listings]
+ *       - in: query
+ *         name: lat
+ *         description: Latitude to measure distance from (each result gets distanceKm)
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         description: Longitude to measure distance from
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         description: Only listings within this distance of lat/lng (defaults to LISTING_DEFAULT_RADIUS_KM, 25)
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, distance]
+ *           default: createdAt
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -111,6 +145,8 @@ router.post('/', createListing);
  *     responses:
  *       200:
  *         description: Listings retrieved successfully with pagination
+ *       400:
+ *         description: Invalid lat/lng, radiusKm or minWeight
  */
 router.get('/', getListings);
 
@@ -181,12 +217,76 @@ router.get('/export', exportListings);
  *           type: integer
  *     responses:
  *       200:
- *         description: Listing details retrieved successfully
+ *         description: Listing details retrieved successfully, with the viewer's conversationId for this listing (or null)
  *       404:
  *         description: Listing not found
  */
 router.get('/:id', getListingById);
 
+/**
+ * @swagger
+ * /api/listings/{id}/chat:
+ *   post:
+ *     summary: Start or reopen a chat with the listing owner about this listing
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Existing conversation returned
+ *       201:
+ *         description: Conversation created
+ *       400:
+ *         description: Owners cannot chat with themselves
+ *       404:
+ *         description: Listing not found
+ */
+router.post('/:id/chat', startListingChat);
+
+/**
+ * @swagger
+ * /api/listings/{id}/accept:
+ *   post:
+ *     summary: Accept a listing as a buyer and create an order from it
+ *     description: Atomically marks the listing ACCEPTED with the caller as buyer and creates an order for its material, weight and pickup location. Only one buyer can accept a listing.
+ *     tags: [Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [COD, ONLINE, STRIPE]
+ *     responses:
+ *       201:
+ *         description: Listing accepted; returns the listing and the new order
+ *       400:
+ *         description: Own listing or invalid payment method
+ *       403:
+ *         description: Only warehouses and companies can accept listings
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: Listing already accepted by another buyer or no longer open
+ */
+router.post('/:id/accept', permit('warehouse', 'company'), acceptListing);
+
 /**
  * @swagger
  * /api/listings/{id}:
@@ -216,6 +316,8 @@ router.get('/:id', getListingById);
  *     responses:
  *       200:
  *         description: Listing updated successfully
+ *       400:
+ *         description: Listing has been accepted; its status follows the order
  *       404:
  *         description: Listing not found
  */
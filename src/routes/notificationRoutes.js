@@ -0,0 +1,162 @@
+import express from 'express';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  registerDevice,
+  unregisterDevice
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification center
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: List your notifications, newest first, with the unread count
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [KYC_APPROVED, KYC_REJECTED, ROLE_UPGRADED, ORDER_STATUS_CHANGED, NEW_MESSAGE, SAVED_SEARCH_MATCH]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications with unreadCount and pagination
+ */
+router.get('/', getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count retrieved successfully
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.put('/read-all', markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:id/read', markNotificationRead);
+
+/**
+ * @swagger
+ * /api/notifications/devices:
+ *   post:
+ *     summary: Register a device push token (re-registering refreshes it)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               platform:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *                 default: android
+ *     responses:
+ *       201:
+ *         description: Device registered
+ *       400:
+ *         description: Missing token or unknown platform
+ */
+router.post('/devices', registerDevice);
+
+/**
+ * @swagger
+ * /api/notifications/devices/{token}:
+ *   delete:
+ *     summary: Unregister a device push token
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         description: URL-encoded device token
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device unregistered
+ *       404:
+ *         description: Device not found
+ */
+router.delete('/devices/:token', unregisterDevice);
+
+export default router;
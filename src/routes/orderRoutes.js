@@ -5,7 +5,9 @@ import {
     getOrders,
     getOrderStats,
     exportOrders,
-    updateOrderStatus
+    updateOrderStatus,
+    getOrderTimeline,
+    getPickupCode
 } from '../controllers/orderController.js';
 
 const router = express.Router();
@@ -57,7 +59,7 @@ router.use(authenticateToken);
  *                 enum: [auto, manual]
  *               paymentMethod:
  *                 type: string
- *                 enum: [COD, WALLET]
+ *                 enum: [COD, ONLINE, STRIPE]
  *                 default: COD
  *     responses:
  *       201:
@@ -90,7 +92,7 @@ router.post('/', createOrder);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, COLLECTED, COMPLETED, CANCELLED]
+ *           enum: [PENDING, ACCEPTED, IN_PROGRESS, COMPLETED, CANCELLED]
  *       - in: query
  *         name: startDate
  *         schema:
@@ -189,6 +191,16 @@ router.get('/export', exportOrders);
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status
+ *     description: |
+ *       Orders follow PENDING → ACCEPTED → IN_PROGRESS → COMPLETED, and can be CANCELLED
+ *       before completion. Only the seller can accept and start an order, only the buyer can
+ *       confirm completion, and either party can cancel. Every change is recorded in the
+ *       activity log.
+ *
+ *       When an order moves to COMPLETED it is priced from the admin rate for its material
+ *       (totalAmount, cogs, stripeFee, collectorCost, netProfit). A warehouse seller gets a
+ *       matching REVENUE financial transaction; a warehouse buyer gets the weight added to
+ *       its inventory as an INFLOW movement referencing the order.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -209,13 +221,73 @@ router.get('/export', exportOrders);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [PENDING, COLLECTED, COMPLETED, CANCELLED]
+ *                 enum: [ACCEPTED, IN_PROGRESS, COMPLETED, CANCELLED]
+ *               note:
+ *                 type: string
+ *                 description: Shown on the order timeline
+ *               latitude:
+ *                 type: number
+ *                 description: Where the change was made (send with longitude)
+ *               longitude:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Order updated successfully
+ *       400:
+ *         description: Unknown status or transition not allowed from the current status
+ *       403:
+ *         description: The caller's side of the order cannot make this transition
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order changed status concurrently
  */
 router.put('/:id/status', updateOrderStatus);
 
+/**
+ * @swagger
+ * /api/orders/{id}/timeline:
+ *   get:
+ *     summary: Get the status history of an order
+ *     description: Every status change with its actor, timestamp, note and optional location, oldest first. Available to the buyer, the seller and admins.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order timeline
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/timeline', getOrderTimeline);
+
+/**
+ * @swagger
+ * /api/orders/{id}/pickup-code:
+ *   get:
+ *     summary: Get the pickup confirmation code (seller only)
+ *     description: The seller gives this code to the collector, who submits it with the weighed quantity to confirm the pickup.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Confirmation code and assigned collector
+ *       404:
+ *         description: Order not found for this seller, or no collector assigned yet
+ */
+router.get('/:id/pickup-code', getPickupCode);
+
 export default router;
@@ -0,0 +1,130 @@
+import express from 'express';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+import {
+  createSavedSearch,
+  getSavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch
+} from '../controllers/savedSearchController.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Saved Searches
+ *   description: Saved marketplace filters with new-listing notifications
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   post:
+ *     summary: Save a marketplace filter set (same filters as GET /api/listings)
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               material:
+ *                 type: string
+ *               lat:
+ *                 type: number
+ *               lng:
+ *                 type: number
+ *               radiusKm:
+ *                 type: number
+ *                 description: Defaults to LISTING_DEFAULT_RADIUS_KM (25) when lat/lng are given
+ *               minWeight:
+ *                 type: number
+ *               search:
+ *                 type: string
+ *               notifyEmail:
+ *                 type: boolean
+ *                 default: true
+ *               notifyInApp:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       400:
+ *         description: Invalid or empty filter set, or too many saved searches
+ */
+router.post('/', createSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List your saved searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches retrieved successfully
+ */
+router.get('/', getSavedSearches);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved search's filters or notification settings
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any of the fields accepted on create
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       404:
+ *         description: Saved search not found
+ */
+router.put('/:id', updateSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       404:
+ *         description: Saved search not found
+ */
+router.delete('/:id', deleteSavedSearch);
+
+export default router;
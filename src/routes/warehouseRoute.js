@@ -1,5 +1,24 @@
 import express from "express";
 import { addCollector, getCollectors } from "../controllers/warehouseController.js";
+import {
+    createInventoryItem,
+    getInventory,
+    getInventoryItem,
+    updateInventoryItem,
+    deleteInventoryItem,
+    createInventoryMovement,
+    getInventoryMovements,
+    auditInventoryItem,
+    getWarehouseAlerts
+} from "../controllers/inventoryController.js";
+import {
+    createExpense,
+    getExpenses,
+    updateExpense,
+    deleteExpense
+} from "../controllers/expenseController.js";
+import { getProfitAndLoss } from "../controllers/financeController.js";
+import { assignJob, getWarehouseJobs } from "../controllers/collectionJobController.js";
 import { authenticateToken } from "../middlewares/authMiddleware.js";
 import { permit } from "../middlewares/roleMiddleware.js";
 
@@ -15,6 +34,8 @@ const router = express.Router();
 import multer from "multer";
 
 const upload = multer({ storage: multer.memoryStorage() });
+// Receipts are uploaded to Cloudinary from disk, then removed
+const receiptUpload = multer({ dest: "uploads/" });
 
 /**
  * @swagger
@@ -103,4 +124,745 @@ router.get(
     getCollectors
 );
 
+/**
+ * @swagger
+ * /api/warehouse/inventory:
+ *   post:
+ *     summary: Add an inventory item
+ *     description: Create a stock record for a material held in the authenticated warehouse
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - materialType
+ *               - category
+ *               - purchasePrice
+ *               - sellingPrice
+ *             properties:
+ *               materialType:
+ *                 type: string
+ *                 enum: [plastic, paper, metal, e-waste, glass]
+ *               category:
+ *                 type: string
+ *               quantityInStock:
+ *                 type: number
+ *                 default: 0
+ *               reorderLevel:
+ *                 type: number
+ *               purchasePrice:
+ *                 type: number
+ *                 description: Cost per kg
+ *               sellingPrice:
+ *                 type: number
+ *                 description: Expected selling price per kg
+ *               supplierId:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *                 description: Bin or zone in the warehouse
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Inventory item created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+    "/inventory",
+    authenticateToken,
+    permit("warehouse"),
+    createInventoryItem
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory:
+ *   get:
+ *     summary: Get warehouse inventory
+ *     description: List the authenticated warehouse's inventory with filters and pagination
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: materialType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Partial match on bin/zone
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Inventory retrieved successfully with pagination
+ */
+router.get(
+    "/inventory",
+    authenticateToken,
+    permit("warehouse"),
+    getInventory
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory/{id}:
+ *   get:
+ *     summary: Get an inventory item
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inventory item retrieved successfully
+ *       404:
+ *         description: Inventory item not found
+ */
+router.get(
+    "/inventory/:id",
+    authenticateToken,
+    permit("warehouse"),
+    getInventoryItem
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory/{id}:
+ *   put:
+ *     summary: Update an inventory item
+ *     description: |
+ *       Updates item details. A changed quantityInStock is recorded as an
+ *       ADJUSTMENT movement for the difference rather than written directly.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               materialType:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               quantityInStock:
+ *                 type: number
+ *               reorderLevel:
+ *                 type: number
+ *               purchasePrice:
+ *                 type: number
+ *               sellingPrice:
+ *                 type: number
+ *               supplierId:
+ *                 type: integer
+ *               location:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Inventory item updated successfully
+ *       404:
+ *         description: Inventory item not found
+ */
+router.put(
+    "/inventory/:id",
+    authenticateToken,
+    permit("warehouse"),
+    updateInventoryItem
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory/{id}:
+ *   delete:
+ *     summary: Delete an empty inventory item (its movement ledger is kept for audits)
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inventory item deleted successfully
+ *       400:
+ *         description: Item still has stock
+ *       404:
+ *         description: Inventory item not found
+ */
+router.delete(
+    "/inventory/:id",
+    authenticateToken,
+    permit("warehouse"),
+    deleteInventoryItem
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory/{id}/movements:
+ *   post:
+ *     summary: Record a stock movement
+ *     description: |
+ *       Writes an InventoryMovement and updates quantityInStock in the same transaction.
+ *       INFLOW adds stock, OUTFLOW and LOSS remove it, ADJUSTMENT applies the signed quantity.
+ *       Movements that would take stock below zero are rejected.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - quantity
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [INFLOW, OUTFLOW, ADJUSTMENT, LOSS]
+ *               quantity:
+ *                 type: number
+ *                 description: Quantity in kg (signed only for ADJUSTMENT)
+ *               reference:
+ *                 type: string
+ *                 description: Order ID, supplier invoice, etc.
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Movement recorded successfully
+ *       400:
+ *         description: Invalid movement or insufficient stock
+ *       404:
+ *         description: Inventory item not found
+ */
+router.post(
+    "/inventory/:id/movements",
+    authenticateToken,
+    permit("warehouse"),
+    createInventoryMovement
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory/{id}/movements:
+ *   get:
+ *     summary: Get the movement ledger of an inventory item
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [INFLOW, OUTFLOW, ADJUSTMENT, LOSS]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Movements retrieved successfully with pagination
+ *       404:
+ *         description: Inventory item not found
+ */
+router.get(
+    "/inventory/:id/movements",
+    authenticateToken,
+    permit("warehouse"),
+    getInventoryMovements
+);
+
+/**
+ * @swagger
+ * /api/warehouse/inventory/{id}/audit:
+ *   get:
+ *     summary: Audit an inventory balance
+ *     description: Replays all movements of the item and compares the result with the stored quantityInStock
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recordedBalance:
+ *                       type: number
+ *                     computedBalance:
+ *                       type: number
+ *                     discrepancy:
+ *                       type: number
+ *                     balanced:
+ *                       type: boolean
+ *                     movementCount:
+ *                       type: integer
+ *       404:
+ *         description: Inventory item not found
+ */
+router.get(
+    "/inventory/:id/audit",
+    authenticateToken,
+    permit("warehouse"),
+    auditInventoryItem
+);
+
+/**
+ * @swagger
+ * /api/warehouse/alerts:
+ *   get:
+ *     summary: Get inventory alerts
+ *     description: |
+ *       Items whose stock is below their reorder level, and whether total stock
+ *       exceeds the warehouse capacity. The same check runs in the background
+ *       and emails the warehouse when new alerts appear.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     lowStock:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     capacity:
+ *                       type: object
+ *                       properties:
+ *                         capacity:
+ *                           type: number
+ *                         totalStock:
+ *                           type: number
+ *                         utilization:
+ *                           type: number
+ *                         overCapacity:
+ *                           type: boolean
+ *                     alertCount:
+ *                       type: integer
+ */
+router.get(
+    "/alerts",
+    authenticateToken,
+    permit("warehouse"),
+    getWarehouseAlerts
+);
+
+/**
+ * @swagger
+ * /api/warehouse/expenses:
+ *   post:
+ *     summary: Record an expense
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - amount
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [OPERATIONAL, EMPLOYEE, TRANSPORTATION, RENT, UTILITIES, PACKAGING, COLLECTOR]
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Expense recorded successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+    "/expenses",
+    authenticateToken,
+    permit("warehouse"),
+    receiptUpload.single("receipt"),
+    createExpense
+);
+
+/**
+ * @swagger
+ * /api/warehouse/expenses:
+ *   get:
+ *     summary: Get expenses
+ *     description: List expenses with totals per category for the selected range
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [OPERATIONAL, EMPLOYEE, TRANSPORTATION, RENT, UTILITIES, PACKAGING, COLLECTOR]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Expenses retrieved successfully with pagination
+ */
+router.get(
+    "/expenses",
+    authenticateToken,
+    permit("warehouse"),
+    getExpenses
+);
+
+/**
+ * @swagger
+ * /api/warehouse/expenses/{id}:
+ *   put:
+ *     summary: Update an expense
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               receipt:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *       404:
+ *         description: Expense not found
+ */
+router.put(
+    "/expenses/:id",
+    authenticateToken,
+    permit("warehouse"),
+    receiptUpload.single("receipt"),
+    updateExpense
+);
+
+/**
+ * @swagger
+ * /api/warehouse/expenses/{id}:
+ *   delete:
+ *     summary: Delete an expense
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Expense deleted successfully
+ *       404:
+ *         description: Expense not found
+ */
+router.delete(
+    "/expenses/:id",
+    authenticateToken,
+    permit("warehouse"),
+    deleteExpense
+);
+
+/**
+ * @swagger
+ * /api/warehouse/finance/pnl:
+ *   get:
+ *     summary: Get profit & loss statement
+ *     description: |
+ *       Revenue, COGS, gross margin, expenses by category and net profit per period.
+ *       Revenue and refunds come from financial transactions, COGS and collector costs
+ *       from the related orders, and expenses from recorded warehouse expenses.
+ *       Defaults to the current year (last five years for period=year).
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [month, quarter, year]
+ *           default: month
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Statement generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                     periods:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             example: "2025-11"
+ *                           revenue:
+ *                             type: number
+ *                           cogs:
+ *                             type: number
+ *                           grossProfit:
+ *                             type: number
+ *                           grossMargin:
+ *                             type: number
+ *                           expenses:
+ *                             type: object
+ *                           totalExpenses:
+ *                             type: number
+ *                           netProfit:
+ *                             type: number
+ *                     totals:
+ *                       type: object
+ *       400:
+ *         description: Invalid period or date range
+ */
+router.get(
+    "/finance/pnl",
+    authenticateToken,
+    permit("warehouse"),
+    getProfitAndLoss
+);
+
+/**
+ * @swagger
+ * /api/warehouse/jobs:
+ *   post:
+ *     summary: Assign a pickup to a collector
+ *     description: |
+ *       Assigns an ACCEPTED order to one of the warehouse's collectors. The order can be given
+ *       directly or through the listing it was accepted from. Assigning again reassigns the
+ *       pickup as long as it has not been picked up yet.
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - collectorId
+ *             properties:
+ *               collectorId:
+ *                 type: integer
+ *                 description: User ID of the collector
+ *               orderId:
+ *                 type: integer
+ *               listingId:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Pickup assigned
+ *       400:
+ *         description: Order not accepted or pickup already under way
+ *       404:
+ *         description: Order or collector not found
+ */
+router.post(
+    "/jobs",
+    authenticateToken,
+    permit("warehouse"),
+    assignJob
+);
+
+/**
+ * @swagger
+ * /api/warehouse/jobs:
+ *   get:
+ *     summary: List the warehouse's pickup jobs
+ *     tags: [Warehouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ASSIGNED, PICKED_UP, DELIVERED, CANCELLED]
+ *       - in: query
+ *         name: collectorId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Paginated pickup jobs
+ */
+router.get(
+    "/jobs",
+    authenticateToken,
+    permit("warehouse"),
+    getWarehouseJobs
+);
+
 export default router;
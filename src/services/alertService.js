@@ -0,0 +1,180 @@
+import { PrismaClient } from '@prisma/client'
+import { queueEmail } from './emailQueueService.js'
+import { logger } from '../utils/logger.js'
+import { UserRole } from '../constants/enums.js'
+const prisma = new PrismaClient()
+
+/**
+ * Collect low-stock and over-capacity alerts for the given warehouses
+ * (all warehouses holding inventory when no ids are passed)
+ */
+export async function collectWarehouseAlerts(warehouseIds = null) {
+  const scope = { deletedAt: null, ...(warehouseIds && { warehouseId: { in: warehouseIds } }) }
+
+  const [lowStockItems, stockTotals] = await Promise.all([
+    prisma.warehouseInventory.findMany({
+      where: {
+        ...scope,
+        reorderLevel: { not: null },
+        quantityInStock: { lt: prisma.warehouseInventory.fields.reorderLevel }
+      },
+      select: {
+        id: true,
+        warehouseId: true,
+        materialType: true,
+        category: true,
+        location: true,
+        quantityInStock: true,
+        reorderLevel: true
+      },
+      orderBy: { quantityInStock: 'asc' }
+    }),
+    prisma.warehouseInventory.groupBy({
+      by: ['warehouseId'],
+      where: scope,
+      _sum: { quantityInStock: true }
+    })
+  ])
+
+  const ids = warehouseIds || [...new Set([
+    ...lowStockItems.map(i => i.warehouseId),
+    ...stockTotals.map(t => t.warehouseId)
+  ])]
+
+  const warehouses = await prisma.user.findMany({
+    where: { id: { in: ids }, role: UserRole.WAREHOUSE, deletedAt: null },
+    select: { id: true, email: true, name: true, businessName: true, warehouseCapacity: true }
+  })
+
+  return warehouses.map(warehouse => {
+    const totalStock = stockTotals.find(t => t.warehouseId === warehouse.id)?._sum.quantityInStock || 0
+    const capacity = warehouse.warehouseCapacity
+
+    return {
+      warehouse,
+      lowStock: lowStockItems
+        .filter(i => i.warehouseId === warehouse.id)
+        .map(i => ({ ...i, shortfall: parseFloat((i.reorderLevel - i.quantityInStock).toFixed(2)) })),
+      capacity: {
+        capacity,
+        totalStock: parseFloat(totalStock.toFixed(2)),
+        utilization: capacity ? parseFloat(((totalStock / capacity) * 100).toFixed(1)) : null,
+        overCapacity: capacity != null && totalStock > capacity
+      }
+    }
+  })
+}
+
+/**
+ * Clear the notified marks of items back at their reorder level and
+ * warehouses back under capacity, so the next dip alerts again
+ */
+async function clearRecoveredAlerts(alerts) {
+  await prisma.warehouseInventory.updateMany({
+    where: {
+      lowStockNotifiedAt: { not: null },
+      OR: [
+        { reorderLevel: null },
+        { quantityInStock: { gte: prisma.warehouseInventory.fields.reorderLevel } }
+      ]
+    },
+    data: { lowStockNotifiedAt: null }
+  })
+
+  const recovered = alerts.filter(a => !a.capacity.overCapacity).map(a => a.warehouse.id)
+  if (recovered.length > 0) {
+    await prisma.user.updateMany({
+      where: { id: { in: recovered }, overCapacityNotifiedAt: { not: null } },
+      data: { overCapacityNotifiedAt: null }
+    })
+  }
+}
+
+function buildAlertEmail(alert) {
+  const name = alert.warehouse.businessName || alert.warehouse.name || 'Warehouse'
+  const lines = [`Hello ${name},`, '']
+
+  if (alert.lowStock.length > 0) {
+    lines.push('The following items are below their reorder level:')
+    for (const item of alert.lowStock) {
+      lines.push(`- ${item.materialType} / ${item.category}: ${item.quantityInStock} kg in stock (reorder level ${item.reorderLevel} kg)`)
+    }
+    lines.push('')
+  }
+
+  if (alert.capacity.overCapacity) {
+    lines.push(`Total stock of ${alert.capacity.totalStock} kg exceeds your warehouse capacity of ${alert.capacity.capacity} kg.`)
+    lines.push('')
+  }
+
+  lines.push('RecyConnect')
+  return lines.join('\n')
+}
+
+/**
+ * Check every warehouse and email the ones with new alerts. What was already
+ * emailed is marked in the database (lowStockNotifiedAt, overCapacityNotifiedAt),
+ * so stock changes on an item that is still low, or a restart, do not re-send.
+ */
+export async function runStockAlertCheck() {
+  const alerts = await collectWarehouseAlerts()
+  await clearRecoveredAlerts(alerts)
+
+  const [notifiedItems, notifiedWarehouses] = await Promise.all([
+    prisma.warehouseInventory.findMany({
+      where: { id: { in: alerts.flatMap(a => a.lowStock.map(i => i.id)) }, lowStockNotifiedAt: { not: null } },
+      select: { id: true }
+    }),
+    prisma.user.findMany({
+      where: { id: { in: alerts.map(a => a.warehouse.id) }, overCapacityNotifiedAt: { not: null } },
+      select: { id: true }
+    })
+  ])
+  const notifiedItemIds = new Set(notifiedItems.map(i => i.id))
+  const notifiedOverCapacity = new Set(notifiedWarehouses.map(w => w.id))
+
+  let sent = 0
+
+  for (const alert of alerts) {
+    const hasNewAlerts = alert.lowStock.some(i => !notifiedItemIds.has(i.id)) ||
+      (alert.capacity.overCapacity && !notifiedOverCapacity.has(alert.warehouse.id))
+
+    if (!alert.warehouse.email || !hasNewAlerts) continue
+
+    try {
+      await queueEmail({
+        to: alert.warehouse.email,
+        subject: 'RecyConnect inventory alert',
+        text: buildAlertEmail(alert)
+      })
+
+      const now = new Date()
+      await prisma.warehouseInventory.updateMany({
+        where: { id: { in: alert.lowStock.map(i => i.id) }, lowStockNotifiedAt: null },
+        data: { lowStockNotifiedAt: now }
+      })
+      if (alert.capacity.overCapacity) {
+        await prisma.user.update({ where: { id: alert.warehouse.id }, data: { overCapacityNotifiedAt: now } })
+      }
+      sent++
+    } catch (err) {
+      logger.error(`Failed to queue stock alert to warehouse ${alert.warehouse.id}: ${err.message}`)
+    }
+  }
+
+  return { checked: alerts.length, sent }
+}
+
+/**
+ * Run the stock alert check on an interval (STOCK_ALERT_INTERVAL_MINUTES, default 60)
+ */
+export function startStockAlertJob() {
+  const minutes = parseInt(process.env.STOCK_ALERT_INTERVAL_MINUTES || '60')
+  const timer = setInterval(() => {
+    runStockAlertCheck()
+      .then(({ checked, sent }) => logger.info(`Stock alert check: ${checked} warehouses, ${sent} emails sent`))
+      .catch(err => logger.error('Stock alert check failed: ' + err.message))
+  }, minutes * 60 * 1000)
+  timer.unref()
+  return timer
+}
@@ -0,0 +1,165 @@
+import { PrismaClient } from '@prisma/client'
+import { NotificationType } from '../constants/enums.js'
+import { notify } from './notificationService.js'
+const prisma = new PrismaClient()
+
+const MESSAGE_PREVIEW_LENGTH = 100
+
+const senderSelect = { id: true, name: true, profileImage: true }
+export const participantSelect = { id: true, name: true, profileImage: true, role: true, businessName: true }
+
+// Summary of the listing or order a conversation is about
+export const dealSelect = {
+  listing: {
+    select: { id: true, materialType: true, estimatedWeight: true, status: true, images: true }
+  },
+  order: {
+    select: { id: true, materialType: true, weight: true, status: true }
+  }
+}
+
+function chatError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/**
+ * Work out who the conversation is with and which deal it is about.
+ * A listing thread must include the listing owner; an order thread is
+ * between its buyer and seller. The other user defaults to the counterpart.
+ */
+async function resolveDeal(userId, { otherUserId, listingId, orderId }) {
+  if (listingId && orderId) throw chatError('Provide either listingId or orderId, not both')
+
+  let otherId = otherUserId ? parseInt(otherUserId) : null
+
+  if (listingId) {
+    const listing = await prisma.listing.findUnique({
+      where: { id: parseInt(listingId) },
+      select: { id: true, userId: true }
+    })
+    if (!listing) throw chatError('Listing not found', 404)
+    if (!otherId) otherId = listing.userId
+    if (listing.userId !== userId && listing.userId !== otherId) {
+      throw chatError('A listing conversation must include the listing owner')
+    }
+    return { otherId, scope: { listingId: listing.id, orderId: null } }
+  }
+
+  if (orderId) {
+    const order = await prisma.order.findUnique({
+      where: { id: parseInt(orderId) },
+      select: { id: true, buyerId: true, sellerId: true }
+    })
+    const parties = order ? [order.buyerId, order.sellerId] : []
+    if (!order || !parties.includes(userId)) throw chatError('Order not found', 404)
+    if (!otherId) otherId = order.buyerId === userId ? order.sellerId : order.buyerId
+    if (!parties.includes(otherId)) {
+      throw chatError('An order conversation must be between its buyer and seller')
+    }
+    return { otherId, scope: { listingId: null, orderId: order.id } }
+  }
+
+  if (!otherId) throw chatError('otherUserId is required')
+  return { otherId, scope: { listingId: null, orderId: null } }
+}
+
+/**
+ * Find the conversation between two users about a deal (or the general one),
+ * creating it if needed
+ */
+export async function getOrCreateConversation(userId, { otherUserId, listingId, orderId } = {}) {
+  const { otherId, scope } = await resolveDeal(userId, { otherUserId, listingId, orderId })
+
+  if (isNaN(otherId)) throw chatError('otherUserId must be a number')
+  if (otherId === userId) throw chatError('Cannot create conversation with yourself')
+
+  const other = await prisma.user.findUnique({ where: { id: otherId }, select: { id: true } })
+  if (!other) throw chatError('User not found', 404)
+
+  const include = { participant1: { select: participantSelect }, participant2: { select: participantSelect }, ...dealSelect }
+
+  const existing = await prisma.conversation.findFirst({
+    where: {
+      ...scope,
+      OR: [
+        { participant1Id: userId, participant2Id: otherId },
+        { participant1Id: otherId, participant2Id: userId }
+      ]
+    },
+    include
+  })
+  if (existing) return { conversation: existing, created: false }
+
+  const conversation = await prisma.conversation.create({
+    data: { participant1Id: userId, participant2Id: otherId, ...scope },
+    include
+  })
+  return { conversation, created: true }
+}
+
+/**
+ * Conversation the user takes part in, or null
+ */
+export async function findConversationForUser(conversationId, userId) {
+  const id = parseInt(conversationId)
+  if (isNaN(id)) return null
+  return prisma.conversation.findFirst({
+    where: {
+      id,
+      OR: [{ participant1Id: userId }, { participant2Id: userId }]
+    }
+  })
+}
+
+export function otherParticipantId(conversation, userId) {
+  return conversation.participant1Id === userId ? conversation.participant2Id : conversation.participant1Id
+}
+
+/**
+ * Store a message, bump the conversation so it sorts to the top and
+ * notify the other participant
+ */
+export async function createMessage(conversation, senderId, { content, imageUrl }) {
+  const [message] = await prisma.$transaction([
+    prisma.message.create({
+      data: {
+        conversationId: conversation.id,
+        senderId,
+        content: content || '',
+        imageUrl
+      },
+      include: { sender: { select: senderSelect } }
+    }),
+    prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { updatedAt: new Date() }
+    })
+  ])
+
+  await notify(otherParticipantId(conversation, senderId), NotificationType.NEW_MESSAGE, {
+    conversationId: conversation.id,
+    messageId: message.id,
+    senderId,
+    senderName: message.sender?.name,
+    preview: message.content ? message.content.slice(0, MESSAGE_PREVIEW_LENGTH) : 'Sent an image'
+  })
+
+  return message
+}
+
+/**
+ * Mark the other participant's messages as read, returning how many changed
+ */
+export async function markConversationRead(conversation, userId) {
+  const { count } = await prisma.message.updateMany({
+    where: {
+      conversationId: conversation.id,
+      senderId: { not: userId },
+      isRead: false
+    },
+    data: { isRead: true }
+  })
+  return count
+}
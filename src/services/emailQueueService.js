@@ -0,0 +1,214 @@
+import { PrismaClient } from '@prisma/client'
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto'
+import { sendEmail, renderEmail } from './emailService.js'
+import { EmailStatus, EmailTemplate } from '../constants/enums.js'
+import { logger } from '../utils/logger.js'
+const prisma = new PrismaClient()
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5')
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '30')
+const MAX_RETRY_DELAY_SECONDS = 60 * 60
+// A SENDING row older than this was left behind by a crashed worker
+const STALE_SENDING_MS = 10 * 60 * 1000
+// Sent emails are deleted after this many days
+const SENT_RETENTION_DAYS = parseInt(process.env.EMAIL_SENT_RETENTION_DAYS || '7')
+
+// Emails carrying one-time codes. The plain text/html columns hold a
+// placeholder; the body is stored encrypted (AES-256-GCM, EMAIL_ENCRYPTION_KEY)
+// in secretBody and erased once the email is sent or dead-lettered.
+const SECRET_TEMPLATES = [EmailTemplate.OTP, EmailTemplate.PASSWORD_RESET]
+const REDACTED_TEXT = '[redacted: contains a one-time code]'
+const SECRET_TTL_MS = parseInt(process.env.OTP_TTL_MINUTES || '15') * 60 * 1000
+
+let workerTimer = null
+
+function queueError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+function encryptionKey() {
+  const secret = process.env.EMAIL_ENCRYPTION_KEY
+  if (!secret) throw new Error('EMAIL_ENCRYPTION_KEY is not set; emails with one-time codes cannot be queued')
+  return createHash('sha256').update(secret).digest()
+}
+
+// iv.tag.ciphertext, base64
+function sealBody(body) {
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(body), 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.')
+}
+
+function openBody(sealed) {
+  const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64'))
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'))
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped at an hour
+ */
+export function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS)
+}
+
+// Send soon after queueing instead of waiting for the next tick, when the worker runs
+function kickWorker() {
+  if (!workerTimer) return
+  setImmediate(() => {
+    processEmailQueue().catch(err => logger.error('Email queue run failed: ' + err.message))
+  })
+}
+
+/**
+ * Store an email for the worker to send; never talks to SMTP
+ */
+export async function queueEmail({ to, subject, text, html, template }) {
+  const secret = SECRET_TEMPLATES.includes(template)
+  const email = await prisma.emailOutbox.create({
+    data: {
+      to,
+      subject,
+      text: secret ? REDACTED_TEXT : text,
+      html: secret ? null : html,
+      secretBody: secret ? sealBody({ text, html }) : null,
+      template,
+      maxAttempts: MAX_ATTEMPTS
+    },
+    omit: { secretBody: true }
+  })
+  kickWorker()
+  return email
+}
+
+/**
+ * Render a template now (so bad variables fail the caller) and queue the result
+ */
+export function queueTemplatedEmail({ to, template, vars, locale }) {
+  const { subject, text, html } = renderEmail(template, vars, locale)
+  return queueEmail({ to, subject, text, html, template })
+}
+
+async function deliver(email) {
+  try {
+    const body = email.secretBody ? openBody(email.secretBody) : email
+
+    await sendEmail({ to: email.to, subject: email.subject, text: body.text, html: body.html || undefined })
+    await prisma.emailOutbox.update({
+      where: { id: email.id },
+      data: { status: EmailStatus.SENT, attempts: email.attempts + 1, sentAt: new Date(), lastError: null, secretBody: null }
+    })
+    return true
+  } catch (err) {
+    const attempts = email.attempts + 1
+    const dead = attempts >= email.maxAttempts
+
+    await prisma.emailOutbox.update({
+      where: { id: email.id },
+      data: {
+        status: dead ? EmailStatus.DEAD : EmailStatus.PENDING,
+        attempts,
+        lastError: err.message,
+        nextAttemptAt: new Date(Date.now() + retryDelaySeconds(attempts) * 1000),
+        ...(dead && { secretBody: null })
+      }
+    })
+
+    if (dead) {
+      logger.error(`Email ${email.id} to ${email.to} moved to dead letter after ${attempts} attempts: ${err.message}`)
+    }
+    return false
+  }
+}
+
+/**
+ * Send the emails that are due. Each row is claimed before sending so that
+ * overlapping runs never send the same email twice. Code emails whose code has
+ * expired are dead-lettered and old sent emails are deleted.
+ */
+export async function processEmailQueue({ batchSize = 20 } = {}) {
+  const now = new Date()
+
+  await prisma.emailOutbox.updateMany({
+    where: { status: EmailStatus.SENDING, updatedAt: { lt: new Date(now.getTime() - STALE_SENDING_MS) } },
+    data: { status: EmailStatus.PENDING }
+  })
+
+  await prisma.emailOutbox.updateMany({
+    where: {
+      template: { in: SECRET_TEMPLATES },
+      status: EmailStatus.PENDING,
+      createdAt: { lt: new Date(now.getTime() - SECRET_TTL_MS) }
+    },
+    data: { status: EmailStatus.DEAD, lastError: 'One-time code expired before it could be sent', secretBody: null }
+  })
+
+  await prisma.emailOutbox.deleteMany({
+    where: { status: EmailStatus.SENT, sentAt: { lt: new Date(now.getTime() - SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000) } }
+  })
+
+  const due = await prisma.emailOutbox.findMany({
+    where: {
+      status: EmailStatus.PENDING,
+      nextAttemptAt: { lte: now }
+    },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize
+  })
+
+  let sent = 0
+  let failed = 0
+
+  for (const email of due) {
+    const { count } = await prisma.emailOutbox.updateMany({
+      where: { id: email.id, status: EmailStatus.PENDING },
+      data: { status: EmailStatus.SENDING }
+    })
+    if (count === 0) continue
+
+    if (await deliver(email)) sent++
+    else failed++
+  }
+
+  return { processed: sent + failed, sent, failed }
+}
+
+/**
+ * Put a dead-lettered email back in the queue with a fresh set of attempts
+ */
+export async function retryEmail(id) {
+  const email = await prisma.emailOutbox.findUnique({ where: { id } })
+  if (!email) throw queueError('Email not found', 404)
+  if (email.status !== EmailStatus.DEAD) throw queueError('Only dead-lettered emails can be retried')
+  if (SECRET_TEMPLATES.includes(email.template)) {
+    throw queueError('Emails with one-time codes cannot be retried; the user can request a new code')
+  }
+
+  const updated = await prisma.emailOutbox.update({
+    where: { id },
+    data: { status: EmailStatus.PENDING, attempts: 0, nextAttemptAt: new Date() },
+    omit: { secretBody: true }
+  })
+  kickWorker()
+  return updated
+}
+
+/**
+ * Process the email queue on an interval (EMAIL_QUEUE_INTERVAL_SECONDS, default 15)
+ */
+export function startEmailWorker() {
+  const seconds = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS || '15')
+  workerTimer = setInterval(() => {
+    processEmailQueue()
+      .then(({ processed, sent }) => {
+        if (processed > 0) logger.info(`Email queue: ${sent}/${processed} sent`)
+      })
+      .catch(err => logger.error('Email queue run failed: ' + err.message))
+  }, seconds * 1000)
+  workerTimer.unref()
+  return workerTimer
+}
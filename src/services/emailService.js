@@ -1,5 +1,7 @@
 import nodemailer from 'nodemailer'
 import dotenv from 'dotenv'
+import { Locale } from '../constants/enums.js'
+import { EMAIL_TEMPLATES } from '../templates/emailTemplates.js'
 dotenv.config()
 
 const transporter = nodemailer.createTransport({
@@ -22,3 +24,65 @@ export async function sendEmail({ to, subject, text, html }) {
   })
   return info
 }
+
+export const SUPPORTED_LOCALES = Object.values(Locale)
+const RTL_LOCALES = [Locale.UR]
+
+function templateError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const interpolate = (str, vars, escape = (v) => v) =>
+  str.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escape(vars[key]))
+
+// Paragraphs from blank lines, <br> for single line breaks
+function textToHtml(text, vars, locale) {
+  const dir = RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr'
+  const paragraphs = text.split(/\n{2,}/)
+    .map(p => `<p>${interpolate(escapeHtml(p), vars, escapeHtml).replace(/\n/g, '<br>')}</p>`)
+    .join('\n')
+  return `<div dir="${dir}" lang="${locale}" style="font-family: Arial, sans-serif; line-height: 1.5;">\n${paragraphs}\n<p>RecyConnect</p>\n</div>`
+}
+
+/**
+ * Names, variables and locales of the available templates
+ */
+export function listEmailTemplates() {
+  return Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+    name,
+    description: template.description,
+    variables: template.variables,
+    locales: Object.keys(template.locales)
+  }))
+}
+
+/**
+ * Render a named template for a locale (falling back to English).
+ * Throws when the template is unknown or a variable is missing.
+ */
+export function renderEmail(name, vars = {}, locale = Locale.EN) {
+  const template = EMAIL_TEMPLATES[name]
+  if (!template) throw templateError(`Unknown email template ${name}`, 404)
+
+  const missing = template.variables.filter(v => vars[v] === undefined || vars[v] === null)
+  if (missing.length > 0) throw templateError(`Missing template variables: ${missing.join(', ')}`)
+
+  const usedLocale = template.locales[locale] ? locale : Locale.EN
+  const variant = template.locales[usedLocale]
+
+  return {
+    locale: usedLocale,
+    subject: interpolate(variant.subject, vars),
+    text: `${interpolate(variant.text, vars)}\n\nRecyConnect`,
+    html: variant.html ? interpolate(variant.html, vars, escapeHtml) : textToHtml(variant.text, vars, usedLocale)
+  }
+}
@@ -0,0 +1,229 @@
+import { PrismaClient } from '@prisma/client'
+import { FinancialTransactionType, PaymentMethod, UserRole } from '../constants/enums.js'
+const prisma = new PrismaClient()
+
+export const PnlPeriod = ['month', 'quarter', 'year']
+
+// Stripe processing fee, as documented on Order.stripeFee: 2.9% + $0.30
+const STRIPE_FEE_RATE = 0.029
+const STRIPE_FEE_FIXED = 0.30
+const CARD_PAYMENT_METHODS = [PaymentMethod.ONLINE, PaymentMethod.STRIPE]
+
+const round = (n) => parseFloat((n || 0).toFixed(2))
+
+export function calculateStripeFee(amount) {
+  return round(amount * STRIPE_FEE_RATE + STRIPE_FEE_FIXED)
+}
+
+/**
+ * Price a completed order and store its financials.
+ * totalAmount = Rate.pricePerUnit x weight, COGS = seller inventory purchasePrice x weight,
+ * stripeFee only for card payments, netProfit = totalAmount - (cogs + stripeFee + collectorCost).
+ * When the seller is a warehouse a matching REVENUE FinancialTransaction is written.
+ * Orders without a rate for their material are left unpriced.
+ */
+export async function applyOrderFinancials(tx, order) {
+  const rate = await tx.rate.findFirst({
+    where: { category: { equals: order.materialType, mode: 'insensitive' } }
+  })
+  if (!rate) return null
+
+  const inventory = await tx.warehouseInventory.findFirst({
+    where: {
+      warehouseId: order.sellerId,
+      deletedAt: null,
+      materialType: { equals: order.materialType, mode: 'insensitive' }
+    },
+    orderBy: { createdAt: 'asc' },
+    select: { purchasePrice: true }
+  })
+
+  const totalAmount = round(rate.pricePerUnit * order.weight)
+  const cogs = round((inventory?.purchasePrice || 0) * order.weight)
+  const isCardPayment = CARD_PAYMENT_METHODS.includes(order.paymentMethod) || !!order.stripePaymentId
+  const stripeFee = isCardPayment ? calculateStripeFee(totalAmount) : 0
+  const collectorCost = round(order.collectorCost || 0)
+  const netProfit = round(totalAmount - (cogs + stripeFee + collectorCost))
+
+  const financials = { totalAmount, cogs, stripeFee, collectorCost, netProfit }
+  await tx.order.update({ where: { id: order.id }, data: financials })
+
+  const seller = await tx.user.findUnique({ where: { id: order.sellerId }, select: { role: true } })
+  if (seller?.role === UserRole.WAREHOUSE) {
+    const existing = await tx.financialTransaction.findFirst({
+      where: { orderId: order.id, type: FinancialTransactionType.REVENUE },
+      select: { id: true }
+    })
+
+    if (!existing) {
+      await tx.financialTransaction.create({
+        data: {
+          warehouseId: order.sellerId,
+          type: FinancialTransactionType.REVENUE,
+          amount: totalAmount,
+          orderId: order.id,
+          description: `Revenue from order #${order.id}`,
+          stripeFee,
+          netAmount: round(totalAmount - stripeFee),
+          metadata: {
+            materialType: order.materialType,
+            weight: order.weight,
+            pricePerUnit: rate.pricePerUnit,
+            buyerId: order.buyerId
+          }
+        }
+      })
+    }
+  }
+
+  return financials
+}
+
+/**
+ * Bucket key for a date, e.g. 2025-03, 2025-Q1 or 2025 (UTC)
+ */
+export function periodKey(date, period) {
+  const d = new Date(date)
+  const year = d.getUTCFullYear()
+  if (period === 'year') return `${year}`
+  if (period === 'quarter') return `${year}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`
+  return `${year}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`
+}
+
+/**
+ * Every bucket key between two dates, inclusive
+ */
+export function periodKeys(start, end, period) {
+  const step = { month: 1, quarter: 3, year: 12 }[period]
+  const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1))
+  const keys = []
+  while (cursor <= end) {
+    const key = periodKey(cursor, period)
+    if (!keys.includes(key)) keys.push(key)
+    cursor.setUTCMonth(cursor.getUTCMonth() + step)
+  }
+  const last = periodKey(end, period)
+  if (!keys.includes(last)) keys.push(last)
+  return keys
+}
+
+/**
+ * Default reporting window: the current year for month/quarter,
+ * the last five years for year
+ */
+function defaultRange(period) {
+  const now = new Date()
+  const startYear = period === 'year' ? now.getUTCFullYear() - 4 : now.getUTCFullYear()
+  return { start: new Date(Date.UTC(startYear, 0, 1)), end: now }
+}
+
+function emptyPeriod(key) {
+  return {
+    period: key,
+    revenue: 0,
+    refunds: 0,
+    cogs: 0,
+    stripeFees: 0,
+    collectorCosts: 0,
+    expenses: {},
+    totalExpenses: 0
+  }
+}
+
+/**
+ * Profit & loss for a warehouse, bucketed by month, quarter or year.
+ * Revenue and refunds come from FinancialTransaction, COGS and collector
+ * costs from the orders behind the revenue, expenses from Expense.
+ */
+export async function buildProfitAndLoss(warehouseId, { period = 'month', startDate, endDate } = {}) {
+  const range = defaultRange(period)
+  const start = startDate ? new Date(startDate) : range.start
+  const end = endDate ? new Date(endDate) : range.end
+
+  const [transactions, expenses] = await Promise.all([
+    prisma.financialTransaction.findMany({
+      where: {
+        warehouseId,
+        type: { in: [FinancialTransactionType.REVENUE, FinancialTransactionType.REFUND] },
+        createdAt: { gte: start, lte: end }
+      },
+      select: {
+        type: true,
+        amount: true,
+        stripeFee: true,
+        createdAt: true,
+        order: { select: { cogs: true, collectorCost: true } }
+      }
+    }),
+    prisma.expense.findMany({
+      where: { warehouseId, date: { gte: start, lte: end } },
+      select: { category: true, amount: true, date: true }
+    })
+  ])
+
+  const buckets = new Map(periodKeys(start, end, period).map(key => [key, emptyPeriod(key)]))
+  const bucketFor = (date) => {
+    const key = periodKey(date, period)
+    if (!buckets.has(key)) buckets.set(key, emptyPeriod(key))
+    return buckets.get(key)
+  }
+
+  for (const t of transactions) {
+    const b = bucketFor(t.createdAt)
+    if (t.type === FinancialTransactionType.REFUND) {
+      b.refunds += t.amount
+      continue
+    }
+    b.revenue += t.amount
+    b.stripeFees += t.stripeFee || 0
+    b.cogs += t.order?.cogs || 0
+    b.collectorCosts += t.order?.collectorCost || 0
+  }
+
+  for (const e of expenses) {
+    const b = bucketFor(e.date)
+    b.expenses[e.category] = (b.expenses[e.category] || 0) + e.amount
+    b.totalExpenses += e.amount
+  }
+
+  const summarize = (b) => {
+    const netRevenue = b.revenue - b.refunds
+    const grossProfit = netRevenue - b.cogs
+    const netProfit = grossProfit - b.stripeFees - b.collectorCosts - b.totalExpenses
+    return {
+      period: b.period,
+      revenue: round(b.revenue),
+      refunds: round(b.refunds),
+      netRevenue: round(netRevenue),
+      cogs: round(b.cogs),
+      grossProfit: round(grossProfit),
+      grossMargin: netRevenue ? round((grossProfit / netRevenue) * 100) : null,
+      stripeFees: round(b.stripeFees),
+      collectorCosts: round(b.collectorCosts),
+      expenses: Object.fromEntries(Object.entries(b.expenses).map(([k, v]) => [k, round(v)])),
+      totalExpenses: round(b.totalExpenses),
+      netProfit: round(netProfit)
+    }
+  }
+
+  const ordered = [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period))
+
+  const totals = ordered.reduce((acc, b) => {
+    acc.revenue += b.revenue
+    acc.refunds += b.refunds
+    acc.cogs += b.cogs
+    acc.stripeFees += b.stripeFees
+    acc.collectorCosts += b.collectorCosts
+    acc.totalExpenses += b.totalExpenses
+    for (const [k, v] of Object.entries(b.expenses)) acc.expenses[k] = (acc.expenses[k] || 0) + v
+    return acc
+  }, emptyPeriod('total'))
+
+  return {
+    period,
+    startDate: start,
+    endDate: end,
+    periods: ordered.map(summarize),
+    totals: summarize(totals)
+  }
+}
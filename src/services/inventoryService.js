@@ -0,0 +1,181 @@
+import { PrismaClient } from '@prisma/client'
+import { InventoryMovementType } from '../constants/enums.js'
+const prisma = new PrismaClient()
+
+function stockError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/**
+ * Normalise a movement quantity to the sign stored in the ledger.
+ * INFLOW is always positive, OUTFLOW and LOSS always negative,
+ * ADJUSTMENT keeps the sign supplied by the caller.
+ */
+export function signedQuantity(type, quantity) {
+  const q = parseFloat(quantity)
+  if (!Object.values(InventoryMovementType).includes(type)) {
+    throw stockError(`Invalid movement type: ${type}`)
+  }
+  if (isNaN(q) || q === 0) {
+    throw stockError('Quantity must be a non-zero number')
+  }
+
+  if (type === InventoryMovementType.INFLOW) return Math.abs(q)
+  if (type === InventoryMovementType.OUTFLOW || type === InventoryMovementType.LOSS) return -Math.abs(q)
+  return q
+}
+
+/**
+ * Write a movement and apply it to quantityInStock using the given
+ * transaction client. Rejects movements that would take stock below zero.
+ */
+export async function recordMovement(tx, { inventoryId, type, quantity, reference, notes, performedBy }) {
+  const delta = signedQuantity(type, quantity)
+
+  // Conditional increment so concurrent outflows cannot overdraw the stock
+  const { count } = await tx.warehouseInventory.updateMany({
+    where: {
+      id: inventoryId,
+      deletedAt: null,
+      ...(delta < 0 && { quantityInStock: { gte: -delta } })
+    },
+    data: { quantityInStock: { increment: delta } }
+  })
+
+  if (count === 0) {
+    const exists = await tx.warehouseInventory.findFirst({ where: { id: inventoryId, deletedAt: null }, select: { id: true } })
+    if (!exists) throw stockError('Inventory item not found', 404)
+    throw stockError('Insufficient stock for this movement')
+  }
+
+  return tx.inventoryMovement.create({
+    data: {
+      inventoryId,
+      type,
+      quantity: delta,
+      reference: reference ? String(reference) : null,
+      notes: notes || null,
+      performedBy
+    }
+  })
+}
+
+/**
+ * Ledger reference used for stock received through a marketplace order
+ */
+export function orderReference(orderId) {
+  return `ORDER-${orderId}`
+}
+
+/**
+ * Book the material of a completed order into the buying warehouse's stock.
+ * Creates the inventory row for the material if the warehouse has none yet,
+ * records the seller as supplier and writes an INFLOW referencing the order.
+ * Safe to call more than once for the same order.
+ */
+export async function receiveOrderIntoInventory(tx, order, performedBy) {
+  const reference = orderReference(order.id)
+
+  const alreadyReceived = await tx.inventoryMovement.findFirst({
+    where: { reference, type: InventoryMovementType.INFLOW },
+    select: { id: true }
+  })
+  if (alreadyReceived) return null
+
+  let inventory = await tx.warehouseInventory.findFirst({
+    where: {
+      warehouseId: order.buyerId,
+      deletedAt: null,
+      materialType: { equals: order.materialType, mode: 'insensitive' }
+    },
+    orderBy: { createdAt: 'asc' }
+  })
+
+  if (inventory) {
+    inventory = await tx.warehouseInventory.update({
+      where: { id: inventory.id },
+      data: { supplierId: order.sellerId }
+    })
+  } else {
+    const rate = await tx.rate.findFirst({
+      where: { category: { equals: order.materialType, mode: 'insensitive' } }
+    })
+    const unitPrice = order.totalAmount && order.weight
+      ? order.totalAmount / order.weight
+      : rate?.pricePerUnit ?? 0
+
+    inventory = await tx.warehouseInventory.create({
+      data: {
+        warehouseId: order.buyerId,
+        materialType: order.materialType,
+        category: order.materialType,
+        quantityInStock: 0,
+        purchasePrice: unitPrice,
+        sellingPrice: unitPrice,
+        supplierId: order.sellerId
+      }
+    })
+  }
+
+  return recordMovement(tx, {
+    inventoryId: inventory.id,
+    type: InventoryMovementType.INFLOW,
+    quantity: order.weight,
+    reference,
+    notes: `Received from completed order #${order.id}`,
+    performedBy
+  })
+}
+
+/**
+ * Record a single movement in its own transaction
+ */
+export async function createMovement(data) {
+  return prisma.$transaction(async (tx) => {
+    const movement = await recordMovement(tx, data)
+    const inventory = await tx.warehouseInventory.findUnique({ where: { id: data.inventoryId } })
+    return { movement, inventory }
+  })
+}
+
+/**
+ * Replay every movement for an inventory item and compare the result with
+ * the stored quantityInStock.
+ */
+export async function auditInventoryBalance(inventoryId) {
+  const [inventory, movements] = await prisma.$transaction([
+    prisma.warehouseInventory.findUnique({ where: { id: inventoryId } }),
+    prisma.inventoryMovement.findMany({
+      where: { inventoryId },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, type: true, quantity: true, createdAt: true }
+    })
+  ])
+
+  if (!inventory) return null
+
+  const byType = {}
+  let computedBalance = 0
+  let lowestBalance = 0
+  for (const m of movements) {
+    computedBalance += m.quantity
+    lowestBalance = Math.min(lowestBalance, computedBalance)
+    byType[m.type] = (byType[m.type] || 0) + m.quantity
+  }
+
+  const round = (n) => parseFloat(n.toFixed(3))
+  const discrepancy = round(inventory.quantityInStock - computedBalance)
+
+  return {
+    inventoryId,
+    recordedBalance: inventory.quantityInStock,
+    computedBalance: round(computedBalance),
+    discrepancy,
+    balanced: discrepancy === 0,
+    wentNegative: lowestBalance < 0,
+    movementCount: movements.length,
+    totalsByType: Object.fromEntries(Object.entries(byType).map(([k, v]) => [k, round(v)]))
+  }
+}
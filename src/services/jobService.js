@@ -0,0 +1,285 @@
+import { PrismaClient } from '@prisma/client'
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import cloudinary from '../config/cloudinary.js'
+import { CollectionJobStatus, OrderStatus, UserRole } from '../constants/enums.js'
+import { assertOrderTransition, notifyOrderStatus, parseEventLocation, recordOrderEvent } from './orderService.js'
+import { logger } from '../utils/logger.js'
+const prisma = new PrismaClient()
+
+const MAX_PICKUP_PHOTOS = 5
+const round = (n) => parseFloat(n.toFixed(2))
+
+// The seller's confirmation code is only ever shown to the seller
+export const jobOmit = { confirmationCode: true }
+
+function generateConfirmationCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0')
+}
+
+function jobError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+// What a collector needs to do the pickup: where, what, who to meet and where to drop off
+export const jobInclude = {
+  order: {
+    select: {
+      id: true,
+      status: true,
+      materialType: true,
+      weight: true,
+      pickupAddress: true,
+      latitude: true,
+      longitude: true,
+      listingId: true,
+      seller: { select: { id: true, name: true, contactNo: true } }
+    }
+  },
+  warehouse: {
+    select: { id: true, name: true, businessName: true, address: true, contactNo: true, latitude: true, longitude: true }
+  },
+  collector: {
+    select: { id: true, collectorId: true, name: true, contactNo: true }
+  }
+}
+
+// Collector job status moves and the timestamp each one stamps
+const JOB_TRANSITIONS = {
+  [CollectionJobStatus.ASSIGNED]: { next: CollectionJobStatus.PICKED_UP, stamp: 'pickedUpAt' },
+  [CollectionJobStatus.PICKED_UP]: { next: CollectionJobStatus.DELIVERED, stamp: 'deliveredAt' }
+}
+
+/**
+ * Assign (or reassign) the pickup of an accepted order to one of the warehouse's collectors.
+ * The order can be given directly or through the listing it was accepted from.
+ */
+export async function assignCollectionJob(warehouseId, { orderId, listingId, collectorId, notes }) {
+  if (!collectorId) throw jobError('collectorId is required')
+  if (!orderId && !listingId) throw jobError('orderId or listingId is required')
+
+  const order = orderId
+    ? await prisma.order.findUnique({ where: { id: parseInt(orderId) }, include: { collectionJob: true } })
+    : (await prisma.listing.findUnique({
+        where: { id: parseInt(listingId) },
+        select: { order: { include: { collectionJob: true } } }
+      }))?.order
+
+  if (!order || (order.buyerId !== warehouseId && order.sellerId !== warehouseId)) {
+    throw jobError(listingId && !orderId ? 'No accepted order found for this listing' : 'Order not found', 404)
+  }
+  if (order.status !== OrderStatus.ACCEPTED) {
+    throw jobError('Only accepted orders can be assigned to a collector')
+  }
+  if (order.collectionJob && order.collectionJob.status !== CollectionJobStatus.ASSIGNED) {
+    throw jobError('This pickup is already under way and cannot be reassigned')
+  }
+
+  const collector = await prisma.user.findFirst({
+    where: {
+      id: parseInt(collectorId),
+      role: UserRole.COLLECTOR,
+      assignedWarehouseId: warehouseId,
+      deletedAt: null
+    },
+    select: { id: true }
+  })
+  if (!collector) throw jobError('Collector not found', 404)
+
+  return prisma.$transaction(async (tx) => {
+    const job = await tx.collectionJob.upsert({
+      where: { orderId: order.id },
+      create: {
+        orderId: order.id,
+        collectorId: collector.id,
+        warehouseId,
+        notes: notes || null,
+        confirmationCode: generateConfirmationCode()
+      },
+      update: {
+        collectorId: collector.id,
+        warehouseId,
+        assignedAt: new Date(),
+        ...(notes !== undefined && { notes: notes || null })
+      },
+      include: jobInclude,
+      omit: jobOmit
+    })
+
+    await tx.activityLog.create({
+      data: {
+        userId: warehouseId,
+        actorRole: UserRole.WAREHOUSE,
+        action: order.collectionJob ? 'COLLECTION_JOB_REASSIGNED' : 'COLLECTION_JOB_ASSIGNED',
+        resourceType: 'order',
+        resourceId: order.id.toString(),
+        meta: { jobId: job.id, collectorId: collector.id, previousCollectorId: order.collectionJob?.collectorId ?? null }
+      }
+    })
+
+    return job
+  })
+}
+
+/**
+ * Check the proof submitted at pickup and work out the weight variance
+ */
+function checkPickupProof(job, { actualWeight, confirmationCode, photos }) {
+  const weighed = parseFloat(actualWeight)
+  if (!(weighed > 0)) throw jobError('actualWeight must be greater than 0')
+  if (!confirmationCode) throw jobError('confirmationCode from the seller is required')
+  if (photos.length > MAX_PICKUP_PHOTOS) throw jobError(`At most ${MAX_PICKUP_PHOTOS} photos can be attached`)
+
+  const expected = Buffer.from(job.confirmationCode)
+  const given = Buffer.from(String(confirmationCode).trim())
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw jobError('Invalid confirmation code')
+  }
+
+  const estimated = job.order.weight
+  const variance = weighed - estimated
+  return {
+    actualWeight: weighed,
+    estimatedWeight: estimated,
+    weightVariance: round(variance),
+    weightVariancePercent: estimated ? round((variance / estimated) * 100) : null
+  }
+}
+
+// Delete uploaded photos whose pickup was not saved; failures are logged, not thrown
+function removePickupPhotos(uploaded) {
+  return Promise.all(uploaded.map(photo => cloudinary.uploader.destroy(photo.public_id)
+    .catch(err => logger.warn(`Failed to delete pickup photo ${photo.public_id}: ${err.message}`))))
+}
+
+async function uploadPickupPhotos(files, jobId) {
+  const uploaded = []
+  try {
+    for (const file of files) {
+      uploaded.push(await cloudinary.uploader.upload(file.path, {
+        folder: `recyconnect/pickups/${jobId}`
+      }))
+      await fs.unlink(file.path)
+    }
+  } catch (err) {
+    await removePickupPhotos(uploaded)
+    throw err
+  }
+  return uploaded
+}
+
+/**
+ * Move a collector's job to PICKED_UP or DELIVERED.
+ * Picking up needs proof of collection: the weighed quantity, the seller's
+ * confirmation code and optional photos. The weighed quantity replaces the
+ * order (and listing) weight so reports and financials use it, and the
+ * estimate-vs-actual variance is kept on the job. Picking up also starts the
+ * order (ACCEPTED -> IN_PROGRESS); both steps are added to the order timeline
+ * with the collector's location when given.
+ */
+export async function advanceCollectionJob(collectorId, jobId, { status, note, latitude, longitude, actualWeight, confirmationCode, photos = [] }) {
+  const job = await prisma.collectionJob.findFirst({
+    where: { id: parseInt(jobId), collectorId },
+    include: { order: { include: { collectionJob: true } } }
+  })
+  if (!job) throw jobError('Job not found', 404)
+
+  const transition = JOB_TRANSITIONS[job.status]
+  if (!transition || transition.next !== status) {
+    throw jobError(`Cannot change job status from ${job.status} to ${status}`)
+  }
+
+  const location = parseEventLocation(latitude, longitude)
+  const { order } = job
+  const pickingUp = status === CollectionJobStatus.PICKED_UP
+
+  // Pickup starts an accepted order; if the seller already started it, just follow along
+  const startsOrder = pickingUp && order.status === OrderStatus.ACCEPTED
+  if (startsOrder) {
+    assertOrderTransition(order, collectorId, OrderStatus.IN_PROGRESS)
+  } else if (order.status !== OrderStatus.IN_PROGRESS) {
+    throw jobError(`Order is ${order.status}, the job can no longer be updated`)
+  }
+
+  const proof = pickingUp ? checkPickupProof(job, { actualWeight, confirmationCode, photos }) : null
+  const uploaded = pickingUp ? await uploadPickupPhotos(photos, job.id) : []
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.collectionJob.updateMany({
+      where: { id: job.id, status: job.status },
+      data: {
+        status,
+        [transition.stamp]: new Date(),
+        ...(proof && { ...proof, photos: uploaded.map(photo => photo.secure_url), confirmedAt: new Date() })
+      }
+    })
+    if (count === 0) throw jobError('Job status was changed by someone else, please retry', 409)
+
+    if (startsOrder) {
+      const moved = await tx.order.updateMany({
+        where: { id: order.id, status: OrderStatus.ACCEPTED },
+        data: { status: OrderStatus.IN_PROGRESS }
+      })
+      if (moved.count === 0) throw jobError('Order status was changed by someone else, please retry', 409)
+    }
+
+    if (proof) {
+      await tx.order.update({ where: { id: order.id }, data: { weight: proof.actualWeight } })
+      if (order.listingId) {
+        await tx.listing.update({ where: { id: order.listingId }, data: { actualWeight: proof.actualWeight } })
+      }
+    }
+
+    const defaultNote = proof
+      ? `Picked up by collector: ${proof.actualWeight} kg weighed (estimate ${proof.estimatedWeight} kg)`
+      : 'Delivered by collector'
+
+    await recordOrderEvent(tx, {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus: startsOrder ? OrderStatus.IN_PROGRESS : order.status,
+      actorId: collectorId,
+      note: note || defaultNote,
+      ...location
+    })
+
+    await tx.activityLog.create({
+      data: {
+        userId: collectorId,
+        actorRole: UserRole.COLLECTOR,
+        action: pickingUp ? 'COLLECTION_JOB_PICKED_UP' : 'COLLECTION_JOB_DELIVERED',
+        resourceType: 'order',
+        resourceId: order.id.toString(),
+        meta: { jobId: job.id, ...(proof && { actualWeight: proof.actualWeight, weightVariance: proof.weightVariance }) }
+      }
+    })
+
+    return tx.collectionJob.findUnique({ where: { id: job.id }, include: jobInclude, omit: jobOmit })
+  }).catch(async (err) => {
+    // Lost the race or failed to save: the photos belong to no pickup
+    await removePickupPhotos(uploaded)
+    throw err
+  })
+
+  if (startsOrder) {
+    const started = { ...order, status: OrderStatus.IN_PROGRESS, ...(proof && { weight: proof.actualWeight }) }
+    await notifyOrderStatus(started, order.status, collectorId)
+  }
+
+  return updated
+}
+
+/**
+ * Cancel the open pickup of an order (used when the order is cancelled)
+ */
+export function cancelCollectionJob(tx, orderId) {
+  return tx.collectionJob.updateMany({
+    where: {
+      orderId,
+      status: { in: [CollectionJobStatus.ASSIGNED, CollectionJobStatus.PICKED_UP] }
+    },
+    data: { status: CollectionJobStatus.CANCELLED }
+  })
+}
@@ -0,0 +1,85 @@
+import { PrismaClient } from '@prisma/client'
+import { NotificationType } from '../constants/enums.js'
+import { logger } from '../utils/logger.js'
+const prisma = new PrismaClient()
+
+const statusLabel = (status) => (status || '').toLowerCase().replace(/_/g, ' ')
+
+// Title and body shown for each notification type, built from its payload
+const templates = {
+  [NotificationType.KYC_APPROVED]: () => ({
+    title: 'Verification approved',
+    body: 'Your documents have been verified.'
+  }),
+  [NotificationType.KYC_REJECTED]: (p) => ({
+    title: 'Verification rejected',
+    body: p.reason ? `Reason: ${p.reason}` : 'Please review and upload your documents again.'
+  }),
+  [NotificationType.ROLE_UPGRADED]: (p) => ({
+    title: 'Account upgraded',
+    body: `Your account is now a ${p.role} account.`
+  }),
+  [NotificationType.ORDER_STATUS_CHANGED]: (p) => ({
+    title: p.from ? `Order #${p.orderId} is ${statusLabel(p.status)}` : `New order #${p.orderId}`,
+    body: p.from
+      ? `${p.materialType} order moved from ${statusLabel(p.from)} to ${statusLabel(p.status)}.`
+      : `A new ${p.materialType} order has been placed.`
+  }),
+  [NotificationType.NEW_MESSAGE]: (p) => ({
+    title: `New message from ${p.senderName || 'a user'}`,
+    body: p.preview || null
+  }),
+  [NotificationType.SAVED_SEARCH_MATCH]: (p) => ({
+    title: `New ${p.materialType} listing matches your saved search`,
+    body: `${p.estimatedWeight} kg at ${p.pickupAddress}`
+  })
+}
+
+// Delivery channels beyond the database (e.g. the socket server), see registerNotificationChannel
+const channels = []
+
+/**
+ * Add a delivery channel; it is called with every stored notification.
+ * Channels are best-effort: a failing channel is logged and skipped.
+ */
+export function registerNotificationChannel(channel) {
+  channels.push(channel)
+}
+
+/**
+ * Store a notification for a user and hand it to the delivery channels.
+ * Notifications are a side effect of the action that caused them, so this
+ * never throws; failures are logged and null is returned.
+ */
+export async function notify(userId, type, payload = {}) {
+  try {
+    const template = templates[type]
+    if (!template) throw new Error(`Unknown notification type ${type}`)
+
+    const notification = await prisma.notification.create({
+      data: {
+        userId,
+        type,
+        ...template(payload),
+        data: payload
+      }
+    })
+
+    for (const channel of channels) {
+      try {
+        await channel(notification)
+      } catch (err) {
+        logger.error(`Notification channel failed for notification ${notification.id}: ${err.message}`)
+      }
+    }
+
+    return notification
+  } catch (err) {
+    logger.error(`Failed to notify user ${userId} (${type}): ${err.message}`)
+    return null
+  }
+}
+
+export function countUnread(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } })
+}
@@ -0,0 +1,174 @@
+import { PrismaClient } from '@prisma/client'
+import { EmailTemplate, ListingStatus, NotificationType, OrderStatus } from '../constants/enums.js'
+import { notify } from './notificationService.js'
+import { queueTemplatedEmail } from './emailQueueService.js'
+import { logger } from '../utils/logger.js'
+const prisma = new PrismaClient()
+
+export const OrderParty = {
+  BUYER: 'buyer',
+  SELLER: 'seller',
+  COLLECTOR: 'collector'
+}
+
+/**
+ * Allowed order status transitions and the parties that may make them.
+ * The seller accepts, the seller or the assigned collector starts the pickup,
+ * only the buyer confirms completion, and either side can cancel until the
+ * order is completed.
+ */
+export const ORDER_TRANSITIONS = {
+  [OrderStatus.PENDING]: {
+    [OrderStatus.ACCEPTED]: [OrderParty.SELLER],
+    [OrderStatus.CANCELLED]: [OrderParty.BUYER, OrderParty.SELLER]
+  },
+  [OrderStatus.ACCEPTED]: {
+    [OrderStatus.IN_PROGRESS]: [OrderParty.SELLER, OrderParty.COLLECTOR],
+    [OrderStatus.CANCELLED]: [OrderParty.BUYER, OrderParty.SELLER]
+  },
+  [OrderStatus.IN_PROGRESS]: {
+    [OrderStatus.COMPLETED]: [OrderParty.BUYER],
+    [OrderStatus.CANCELLED]: [OrderParty.BUYER, OrderParty.SELLER]
+  },
+  [OrderStatus.COMPLETED]: {},
+  [OrderStatus.CANCELLED]: {}
+}
+
+function transitionError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+/**
+ * The user's side of the order; the collector is only recognised when the
+ * order was loaded with its active collectionJob
+ */
+export function orderParty(order, userId) {
+  if (order.buyerId === userId) return OrderParty.BUYER
+  if (order.sellerId === userId) return OrderParty.SELLER
+  if (order.collectionJob?.collectorId === userId) return OrderParty.COLLECTOR
+  return null
+}
+
+/**
+ * Statuses the user can move this order to next
+ */
+export function allowedOrderTransitions(order, userId) {
+  const party = orderParty(order, userId)
+  return Object.entries(ORDER_TRANSITIONS[order.status] || {})
+    .filter(([, parties]) => parties.includes(party))
+    .map(([status]) => status)
+}
+
+/**
+ * Throw a 400/403 error unless the user may move the order to nextStatus
+ */
+export function assertOrderTransition(order, userId, nextStatus) {
+  if (!Object.values(OrderStatus).includes(nextStatus)) {
+    throw transitionError(`Status must be one of: ${Object.values(OrderStatus).join(', ')}`)
+  }
+
+  const allowed = ORDER_TRANSITIONS[order.status] || {}
+  const parties = allowed[nextStatus]
+  if (!parties) {
+    throw transitionError(`Cannot change order status from ${order.status} to ${nextStatus}`)
+  }
+
+  const party = orderParty(order, userId)
+  if (!parties.includes(party)) {
+    throw transitionError(`Only the ${parties.join(' or ')} can change this order to ${nextStatus}`, 403)
+  }
+
+  return party
+}
+
+/**
+ * Optional geo-point sent with a status change; both coordinates or neither
+ */
+export function parseEventLocation(latitude, longitude) {
+  if (latitude == null && longitude == null) return { latitude: null, longitude: null }
+
+  const lat = parseFloat(latitude)
+  const lng = parseFloat(longitude)
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw transitionError('latitude and longitude must both be valid coordinates')
+  }
+  return { latitude: lat, longitude: lng }
+}
+
+/**
+ * Append a status change to the order's timeline
+ */
+export function recordOrderEvent(tx, { orderId, fromStatus = null, toStatus, actorId = null, note = null, latitude = null, longitude = null }) {
+  return tx.orderEvent.create({
+    data: { orderId, fromStatus, toStatus, actorId, note, latitude, longitude }
+  })
+}
+
+/**
+ * Keep the listing an order was accepted from in step with the order. A
+ * cancelled order reopens the listing for other buyers; the order lets go of
+ * it (listingId is unique) and its timeline still names the listing. A
+ * completed order closes the listing.
+ */
+export async function syncOrderListing(tx, order, status) {
+  if (!order.listingId) return
+
+  if (status === OrderStatus.CANCELLED) {
+    await tx.order.update({ where: { id: order.id }, data: { listingId: null } })
+    await tx.listing.update({
+      where: { id: order.listingId },
+      data: { status: ListingStatus.PENDING, buyerId: null, acceptedAt: null }
+    })
+  } else if (status === OrderStatus.COMPLETED) {
+    await tx.listing.update({
+      where: { id: order.listingId },
+      data: { status: ListingStatus.COMPLETED }
+    })
+  }
+}
+
+/**
+ * Notify the buyer and seller, except whoever made the change, of an order's
+ * new status in the app and by email (fromStatus is null for a new order)
+ */
+export async function notifyOrderStatus(order, fromStatus, actorId) {
+  const recipients = [order.buyerId, order.sellerId].filter(id => id !== actorId)
+  for (const userId of recipients) {
+    await notify(userId, NotificationType.ORDER_STATUS_CHANGED, {
+      orderId: order.id,
+      from: fromStatus,
+      status: order.status,
+      materialType: order.materialType,
+      actorId
+    })
+  }
+  await emailOrderStatus(order, recipients)
+}
+
+// Order update emails should not fail the status change
+async function emailOrderStatus(order, recipients) {
+  try {
+    const users = await prisma.user.findMany({
+      where: { id: { in: recipients }, deletedAt: null, email: { not: null } },
+      select: { id: true, email: true, name: true, businessName: true, companyName: true, locale: true }
+    })
+    for (const user of users) {
+      await queueTemplatedEmail({
+        to: user.email,
+        template: EmailTemplate.ORDER_UPDATE,
+        locale: user.locale,
+        vars: {
+          name: user.name || user.businessName || user.companyName || user.email,
+          orderId: order.id,
+          materialType: order.materialType,
+          weight: order.weight,
+          status: order.status
+        }
+      })
+    }
+  } catch (err) {
+    logger.error(`Failed to queue order update emails for order ${order.id}: ${err.message}`)
+  }
+}
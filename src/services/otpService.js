@@ -1,15 +1,27 @@
 import bcrypt from 'bcrypt'
+import { randomInt } from 'crypto'
 import { PrismaClient } from '@prisma/client'
 const prisma = new PrismaClient()
 
+// Wrong guesses allowed per code before it is locked
+export const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5')
+// Resend limits per email or phone number
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60')
+const MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR || '5')
+
+function otpError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
 export function generateOtpCode(length = 6) {
-  const digits = '0123456789'
   let code = ''
-  for (let i = 0; i < length; i++) code += digits[Math.floor(Math.random() * digits.length)]
+  for (let i = 0; i < length; i++) code += randomInt(10)
   return code
 }
 
-export async function createOtpForUser(userId, purpose = 'email_verification', email = null, metadata = null) {
+async function storeOtp({ userId, email, phone, purpose, metadata }) {
   const otp = generateOtpCode()
   const saltRounds = 10
   const hash = await bcrypt.hash(otp, saltRounds)
@@ -20,6 +32,7 @@ export async function createOtpForUser(userId, purpose = 'email_verification', e
     data: {
       userId: userId || undefined,
       email: email || undefined,
+      phone: phone || undefined,
       otpHash: hash,
       purpose,
       metadata: metadata || undefined,
@@ -30,30 +43,84 @@ export async function createOtpForUser(userId, purpose = 'email_verification', e
   return otp
 }
 
-export async function verifyOtp(emailOrUserId, code, purpose = 'email_verification') {
-  let record
-
-  if (typeof emailOrUserId === 'string' && emailOrUserId.includes('@')) {
-    // For pending registrations
-    record = await prisma.otp.findFirst({
-      where: { email: emailOrUserId, purpose, used: false },
-      orderBy: { createdAt: 'desc' }
-    })
-  } else {
-    // For existing users
-    record = await prisma.otp.findFirst({
-      where: { userId: emailOrUserId, purpose, used: false },
-      orderBy: { createdAt: 'desc' }
-    })
+export function createOtpForUser(userId, purpose = 'email_verification', email = null, metadata = null) {
+  return storeOtp({ userId, email, purpose, metadata })
+}
+
+/**
+ * OTP sent by SMS; `phone` must already be normalized to E.164
+ */
+export function createOtpForPhone(phone, purpose = 'phone_verification', metadata = null, userId = null) {
+  return storeOtp({ userId, phone, purpose, metadata })
+}
+
+// Emails contain @, normalized phone numbers start with +, anything else is a user id
+function otpOwner(key) {
+  if (typeof key === 'string' && key.includes('@')) return { email: key }
+  if (typeof key === 'string' && key.startsWith('+')) return { phone: key }
+  return { userId: key }
+}
+
+/**
+ * Throw a 429 when a new code was sent to this email or phone too recently,
+ * or too many were sent in the last hour
+ */
+export async function assertCanSendOtp(key, purpose) {
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000)
+  const recent = await prisma.otp.findMany({
+    where: { ...otpOwner(key), purpose, createdAt: { gte: hourAgo } },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'desc' }
+  })
+
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    throw otpError('Too many codes requested. Please try again later.', 429)
   }
 
+  if (recent.length > 0) {
+    const wait = Math.ceil(RESEND_COOLDOWN_SECONDS - (Date.now() - recent[0].createdAt.getTime()) / 1000)
+    if (wait > 0) throw otpError(`Please wait ${wait} seconds before requesting another code.`, 429)
+  }
+}
+
+/**
+ * Retire the outstanding codes before sending a new one. They are kept, not
+ * deleted, so that assertCanSendOtp still counts them.
+ */
+export function invalidateOtps(key, purpose) {
+  return prisma.otp.updateMany({
+    where: { ...otpOwner(key), purpose, used: false },
+    data: { used: true }
+  })
+}
+
+/**
+ * Check a code against the latest unused OTP. Returns the record (including
+ * metadata) on success and null when the code is wrong or expired; throws a 429
+ * once the code has had OTP_MAX_ATTEMPTS guesses.
+ */
+export async function verifyOtp(key, code, purpose = 'email_verification') {
+  const record = await prisma.otp.findFirst({
+    where: { ...otpOwner(key), purpose, used: false },
+    orderBy: { createdAt: 'desc' }
+  })
+
   if (!record) return null
   if (new Date() > record.expiresAt) return null
-  const match = await bcrypt.compare(code, record.otpHash)
+
+  // Take the attempt before comparing, so parallel guesses cannot get past the limit
+  const { count } = await prisma.otp.updateMany({
+    where: { id: record.id, used: false, attempts: { lt: OTP_MAX_ATTEMPTS } },
+    data: { attempts: { increment: 1 } }
+  })
+  if (count === 0) {
+    throw otpError('Too many incorrect attempts. Please request a new code.', 429)
+  }
+
+  const match = await bcrypt.compare(String(code), record.otpHash)
   if (!match) return null
 
   await prisma.otp.update({ where: { id: record.id }, data: { used: true } })
 
-  // Return the record (including metadata) instead of just true
   return record
 }
@@ -0,0 +1,211 @@
+import { PrismaClient } from '@prisma/client'
+import dotenv from 'dotenv'
+import { readFileSync } from 'fs'
+import jwt from 'jsonwebtoken'
+import { NotificationType } from '../constants/enums.js'
+import { registerNotificationChannel } from './notificationService.js'
+import { logger } from '../utils/logger.js'
+dotenv.config()
+const prisma = new PrismaClient()
+
+export const DevicePlatform = ['android', 'ios', 'web']
+
+// Notification types that are also pushed to the user's devices
+const PUSHED_TYPES = [
+  NotificationType.ORDER_STATUS_CHANGED,
+  NotificationType.NEW_MESSAGE,
+  NotificationType.KYC_APPROVED,
+  NotificationType.KYC_REJECTED,
+  NotificationType.ROLE_UPGRADED
+]
+
+// Give up on the push provider after this long
+const PUSH_TIMEOUT_MS = parseInt(process.env.PUSH_TIMEOUT_MS || '5000')
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging'
+
+// The FCM v1 error code meaning the token will never work again. INVALID_ARGUMENT
+// is not one: it is also returned for a bad payload, which says nothing of the token.
+const UNREGISTERED = 'UNREGISTERED'
+
+// Data keys FCM rejects; reserved words are sent with an app_ prefix (from -> app_from)
+const RESERVED_DATA_KEYS = ['from', 'message_type', 'notification']
+const RESERVED_DATA_PREFIXES = ['google.', 'gcm.']
+
+function fetchWithTimeout(url, options) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), PUSH_TIMEOUT_MS)
+  return fetch(url, { ...options, signal: controller.signal }).finally(() => clearTimeout(timer))
+}
+
+// FCM_SERVICE_ACCOUNT holds the service-account JSON itself or the path to its file
+function loadServiceAccount(value) {
+  if (!value) throw new Error('FCM_SERVICE_ACCOUNT is not set')
+  return JSON.parse(value.trim().startsWith('{') ? value : readFileSync(value, 'utf8'))
+}
+
+/**
+ * OAuth access token for the service account, cached until shortly before it expires
+ */
+function createAccessTokenSource({ client_email: clientEmail, private_key: privateKey, token_uri: tokenUri = 'https://oauth2.googleapis.com/token' }) {
+  let cached = null
+
+  return async function getAccessToken() {
+    if (cached && cached.expiresAt > Date.now() + 60 * 1000) return cached.token
+
+    const now = Math.floor(Date.now() / 1000)
+    const assertion = jwt.sign(
+      { iss: clientEmail, scope: FCM_SCOPE, aud: tokenUri, iat: now, exp: now + 3600 },
+      privateKey,
+      { algorithm: 'RS256' }
+    )
+    const response = await fetchWithTimeout(tokenUri, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer', assertion })
+    })
+    if (!response.ok) throw new Error(`OAuth token endpoint responded ${response.status}`)
+
+    const { access_token: token, expires_in: expiresIn } = await response.json()
+    cached = { token, expiresAt: Date.now() + expiresIn * 1000 }
+    return token
+  }
+}
+
+// The FCM error code, e.g. UNREGISTERED, from a v1 error body
+function fcmErrorCode(body) {
+  const detail = body?.error?.details?.find(d => d['@type']?.endsWith('FcmError'))
+  return detail?.errorCode || body?.error?.status
+}
+
+/**
+ * Push transport for the FCM HTTP v1 API, authorised with a service account
+ * (FCM_SERVICE_ACCOUNT, FCM_PROJECT_ID when it differs from the account's project).
+ * A transport's send(tokens, message) resolves to { invalidTokens }.
+ */
+export function createFcmTransport({
+  serviceAccount = loadServiceAccount(process.env.FCM_SERVICE_ACCOUNT),
+  projectId = process.env.FCM_PROJECT_ID || serviceAccount.project_id
+} = {}) {
+  const url = `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`
+  const getAccessToken = createAccessTokenSource(serviceAccount)
+
+  return {
+    name: 'fcm',
+    async send(tokens, { title, body, data }) {
+      const accessToken = await getAccessToken()
+
+      // v1 takes one token per message
+      const results = await Promise.allSettled(tokens.map(async (token) => {
+        const response = await fetchWithTimeout(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`
+          },
+          body: JSON.stringify({ message: { token, notification: { title, body }, data } })
+        })
+        if (response.ok) return null
+
+        const code = fcmErrorCode(await response.json().catch(() => null))
+        if (response.status === 404 || code === UNREGISTERED) return token
+        throw new Error(`Push provider responded ${response.status}${code ? `: ${code}` : ''}`)
+      }))
+
+      const failures = results.filter(r => r.status === 'rejected')
+      if (failures.length === tokens.length) throw failures[0].reason
+      for (const failure of failures) logger.warn(`Push to a device failed: ${failure.reason.message}`)
+
+      return {
+        invalidTokens: results.filter(r => r.status === 'fulfilled' && r.value).map(r => r.value)
+      }
+    }
+  }
+}
+
+/**
+ * Transport for local development: logs pushes instead of sending them
+ */
+export function createLogTransport() {
+  return {
+    name: 'log',
+    async send(tokens, { title }) {
+      logger.info(`Push (not sent) to ${tokens.length} device(s): ${title}`)
+      return { invalidTokens: [] }
+    }
+  }
+}
+
+function defaultTransport() {
+  const wanted = process.env.PUSH_TRANSPORT || (process.env.FCM_SERVICE_ACCOUNT ? 'fcm' : 'log')
+  return wanted === 'fcm' ? createFcmTransport() : createLogTransport()
+}
+
+let transport = defaultTransport()
+
+/**
+ * Swap the push transport, e.g. for a stub in tests
+ */
+export function setPushTransport(next) {
+  transport = next || defaultTransport()
+}
+
+/**
+ * Register a device for pushes, moving the token over if another account had it
+ */
+export function registerDeviceToken(userId, { token, platform = 'android' }) {
+  return prisma.deviceToken.upsert({
+    where: { token },
+    create: { userId, token, platform },
+    update: { userId, platform, lastSeenAt: new Date() }
+  })
+}
+
+export async function unregisterDeviceToken(userId, token) {
+  const { count } = await prisma.deviceToken.deleteMany({ where: { userId, token } })
+  return count > 0
+}
+
+/**
+ * Send a push to every device of a user and drop the tokens the provider rejects
+ */
+export async function sendPush(userId, { title, body, data = {} }) {
+  const devices = await prisma.deviceToken.findMany({ where: { userId }, select: { token: true } })
+  if (devices.length === 0) return { sent: 0, pruned: 0 }
+
+  const tokens = devices.map(d => d.token)
+  // FCM data values must be strings, and some keys are reserved
+  const stringData = Object.fromEntries(
+    Object.entries(data)
+      .filter(([key]) => !RESERVED_DATA_PREFIXES.some(prefix => key.startsWith(prefix)))
+      .map(([key, value]) => [
+        RESERVED_DATA_KEYS.includes(key) ? `app_${key}` : key,
+        typeof value === 'string' ? value : JSON.stringify(value)
+      ])
+  )
+
+  const { invalidTokens = [] } = await transport.send(tokens, { title, body: body || '', data: stringData })
+
+  if (invalidTokens.length > 0) {
+    await prisma.deviceToken.deleteMany({ where: { token: { in: invalidTokens } } })
+    logger.info(`Pruned ${invalidTokens.length} invalid push token(s) for user ${userId}`)
+  }
+
+  return { sent: tokens.length - invalidTokens.length, pruned: invalidTokens.length }
+}
+
+/**
+ * Push order, chat and KYC notifications to the user's devices as they are stored
+ */
+export function initPush() {
+  registerNotificationChannel((notification) => {
+    if (!PUSHED_TYPES.includes(notification.type)) return
+    // Not awaited, so notify() never waits on the push provider
+    sendPush(notification.userId, {
+      title: notification.title,
+      body: notification.body,
+      data: { ...notification.data, type: notification.type, notificationId: notification.id }
+    }).catch(err => logger.error(`Push failed for notification ${notification.id}: ${err.message}`))
+  })
+  logger.info(`Push delivery enabled (${transport.name} transport)`)
+}
@@ -0,0 +1,128 @@
+import { Prisma } from '@prisma/client'
+
+const EARTH_RADIUS_KM = 6371
+
+const round = (n) => parseFloat(n.toFixed(2))
+const toRad = (deg) => (deg * Math.PI) / 180
+
+/**
+ * Great-circle distance between two { latitude, longitude } points in km
+ */
+export function haversineKm(a, b) {
+  const dLat = toRad(b.latitude - a.latitude)
+  const dLng = toRad(b.longitude - a.longitude)
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h))
+}
+
+/**
+ * haversineKm as a SQL expression: distance in km from `origin` to the row's
+ * latitude/longitude columns (a table alias such as Prisma.raw('l'))
+ */
+export function haversineSql(table, origin) {
+  // LEAST keeps rounding from pushing asin out of its domain near the antipode
+  return Prisma.sql`2 * ${EARTH_RADIUS_KM} * asin(LEAST(1, sqrt(
+    power(sin(radians(${table}."latitude" - ${origin.latitude}) / 2), 2) +
+    cos(radians(${origin.latitude})) * cos(radians(${table}."latitude")) *
+    power(sin(radians(${table}."longitude" - ${origin.longitude}) / 2), 2)
+  )))`
+}
+
+// Length of the closed tour start -> points[order...] -> start
+function tourLength(points, order) {
+  let total = 0
+  for (let i = 0; i < order.length - 1; i++) total += haversineKm(points[order[i]], points[order[i + 1]])
+  return total + haversineKm(points[order[order.length - 1]], points[order[0]])
+}
+
+/**
+ * Greedy tour: from the start, always go to the closest unvisited point.
+ * Index 0 is the start.
+ */
+export function nearestNeighbourTour(points) {
+  const tour = [0]
+  const remaining = new Set(points.map((_, i) => i).slice(1))
+
+  while (remaining.size > 0) {
+    const current = points[tour[tour.length - 1]]
+    let best = null
+    let bestDistance = Infinity
+    for (const i of remaining) {
+      const d = haversineKm(current, points[i])
+      if (d < bestDistance) {
+        best = i
+        bestDistance = d
+      }
+    }
+    tour.push(best)
+    remaining.delete(best)
+  }
+
+  return tour
+}
+
+/**
+ * Improve a closed tour by reversing segments while that shortens it.
+ * The start (position 0) stays fixed.
+ */
+export function twoOpt(points, tour) {
+  const route = [...tour]
+  const d = (i, j) => haversineKm(points[route[i]], points[route[j % route.length]])
+  let improved = true
+
+  while (improved) {
+    improved = false
+    for (let i = 1; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        // Replace edges (i-1, i) and (k, k+1) with (i-1, k) and (i, k+1)
+        const delta = d(i - 1, k) + d(i, k + 1) - d(i - 1, i) - d(k, k + 1)
+        if (delta < -1e-9) {
+          route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse())
+          improved = true
+        }
+      }
+    }
+  }
+
+  return route
+}
+
+/**
+ * Order stops into a round trip from the start using nearest-neighbour + 2-opt.
+ * Each stop gets the estimated (straight-line) distance of the leg leading to it.
+ */
+export function planRoute(start, stops) {
+  if (stops.length === 0) {
+    return { stops: [], returnDistanceKm: 0, totalDistanceKm: 0 }
+  }
+
+  const points = [start, ...stops]
+  let tour = twoOpt(points, nearestNeighbourTour(points))
+
+  // Either direction of a round trip is equally long; prefer the one with the shorter first leg
+  const reversed = [0, ...tour.slice(1).reverse()]
+  if (haversineKm(start, points[reversed[1]]) < haversineKm(start, points[tour[1]])) tour = reversed
+
+  let cumulative = 0
+  let previous = start
+  const ordered = tour.slice(1).map((index, i) => {
+    const stop = points[index]
+    const legDistanceKm = haversineKm(previous, stop)
+    cumulative += legDistanceKm
+    previous = stop
+    return {
+      ...stop,
+      sequence: i + 1,
+      legDistanceKm: round(legDistanceKm),
+      cumulativeDistanceKm: round(cumulative)
+    }
+  })
+
+  const returnDistanceKm = haversineKm(previous, start)
+  return {
+    stops: ordered,
+    returnDistanceKm: round(returnDistanceKm),
+    totalDistanceKm: round(tourLength(points, tour))
+  }
+}
@@ -0,0 +1,167 @@
+import { PrismaClient } from '@prisma/client'
+import { queueEmail } from './emailQueueService.js'
+import { notify } from './notificationService.js'
+import { haversineKm } from './routeService.js'
+import { NotificationType } from '../constants/enums.js'
+import { DEFAULT_RADIUS_KM } from '../utils/queryHelper.js'
+import { logger } from '../utils/logger.js'
+const prisma = new PrismaClient()
+
+export const MAX_SAVED_SEARCHES = 20
+
+function savedSearchError(message, status = 400) {
+  const err = new Error(message)
+  err.status = status
+  return err
+}
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value))
+
+/**
+ * Validate a getListings filter set (material, lat, lng, radiusKm, minWeight, search)
+ * and map it onto SavedSearch columns
+ */
+export function parseSavedSearch({ name, material, lat, lng, radiusKm, minWeight, search, notifyEmail, notifyInApp }) {
+  const latitude = optionalNumber(lat)
+  const longitude = optionalNumber(lng)
+  const radius = optionalNumber(radiusKm)
+  const weight = optionalNumber(minWeight)
+
+  if ((latitude === null) !== (longitude === null) || (radius !== null && latitude === null)) {
+    throw savedSearchError('lat and lng must be sent together, and radiusKm needs both')
+  }
+  if (latitude !== null && (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180)) {
+    throw savedSearchError('lat and lng must be valid coordinates')
+  }
+  if (radius !== null && !(radius > 0)) throw savedSearchError('radiusKm must be greater than 0')
+  if (weight !== null && !(weight > 0)) throw savedSearchError('minWeight must be greater than 0')
+
+  const data = {
+    name: name || null,
+    materialType: material || null,
+    latitude,
+    longitude,
+    radiusKm: radius,
+    minWeight: weight,
+    search: search || null,
+    notifyEmail: notifyEmail !== undefined ? notifyEmail === true || notifyEmail === 'true' : true,
+    notifyInApp: notifyInApp === true || notifyInApp === 'true'
+  }
+
+  if (!data.materialType && data.latitude === null && data.minWeight === null && !data.search) {
+    throw savedSearchError('A saved search needs at least one of material, lat/lng, minWeight or search')
+  }
+
+  return data
+}
+
+/**
+ * Whether a listing falls inside a saved search, using the same rules as getListings
+ * (a location without radiusKm means within DEFAULT_RADIUS_KM)
+ */
+export function listingMatchesSearch(saved, listing) {
+  if (saved.materialType && saved.materialType.toLowerCase() !== (listing.materialType || '').toLowerCase()) return false
+  if (saved.minWeight != null && listing.estimatedWeight < saved.minWeight) return false
+
+  if (saved.search) {
+    const needle = saved.search.toLowerCase()
+    const fields = [listing.materialType, listing.pickupAddress, listing.notes]
+    if (!fields.some(field => field && field.toLowerCase().includes(needle))) return false
+  }
+
+  if (saved.latitude != null) {
+    if (listing.latitude == null || listing.longitude == null) return false
+    if (haversineKm(saved, listing) > (saved.radiusKm ?? DEFAULT_RADIUS_KM)) return false
+  }
+
+  return true
+}
+
+function buildMatchEmail(user, searches, listing) {
+  const names = searches.map(s => s.name).filter(Boolean)
+  const lines = [
+    `Hello ${user.name || 'there'},`,
+    '',
+    names.length > 0
+      ? `A new listing matches your saved search${names.length > 1 ? 'es' : ''}: ${names.join(', ')}.`
+      : 'A new listing matches one of your saved searches.',
+    '',
+    `- Material: ${listing.materialType}`,
+    `- Estimated weight: ${listing.estimatedWeight} kg`,
+    `- Pickup address: ${listing.pickupAddress}`,
+    '',
+    'Open the RecyConnect marketplace to view it.',
+    '',
+    'RecyConnect'
+  ]
+  return lines.join('\n')
+}
+
+/**
+ * Tell every user with a saved search matching this new listing about it:
+ * one email and/or in-app notification per user, however many of their searches match.
+ * Email failures are logged so one bad address doesn't stop the rest.
+ */
+export async function notifySavedSearchMatches(listing) {
+  const candidates = await prisma.savedSearch.findMany({
+    where: {
+      userId: { not: listing.userId },
+      user: { deletedAt: null },
+      OR: [{ notifyEmail: true }, { notifyInApp: true }],
+      AND: [
+        { OR: [{ materialType: null }, { materialType: { equals: listing.materialType, mode: 'insensitive' } }] },
+        { OR: [{ minWeight: null }, { minWeight: { lte: listing.estimatedWeight } }] }
+      ]
+    },
+    include: {
+      user: { select: { id: true, name: true, email: true } }
+    }
+  })
+
+  const matches = candidates.filter(saved => listingMatchesSearch(saved, listing))
+  if (matches.length === 0) return { matched: 0, notified: 0 }
+
+  const byUser = new Map()
+  for (const saved of matches) {
+    if (!byUser.has(saved.userId)) byUser.set(saved.userId, [])
+    byUser.get(saved.userId).push(saved)
+  }
+
+  let notified = 0
+  for (const searches of byUser.values()) {
+    const { user } = searches[0]
+
+    if (searches.some(s => s.notifyInApp)) {
+      await notify(user.id, NotificationType.SAVED_SEARCH_MATCH, {
+        savedSearchIds: searches.filter(s => s.notifyInApp).map(s => s.id),
+        listingId: listing.id,
+        materialType: listing.materialType,
+        estimatedWeight: listing.estimatedWeight,
+        pickupAddress: listing.pickupAddress
+      })
+    }
+
+    const emailSearches = searches.filter(s => s.notifyEmail)
+    if (emailSearches.length > 0 && user.email) {
+      try {
+        await queueEmail({
+          to: user.email,
+          subject: `New ${listing.materialType} listing matches your saved search`,
+          text: buildMatchEmail(user, emailSearches, listing)
+        })
+      } catch (err) {
+        logger.error(`Failed to queue saved search alert to user ${user.id}: ${err.message}`)
+      }
+    }
+
+    notified++
+  }
+
+  await prisma.savedSearch.updateMany({
+    where: { id: { in: matches.map(s => s.id) } },
+    data: { lastNotifiedAt: new Date() }
+  })
+
+  return { matched: matches.length, notified }
+}
@@ -0,0 +1,100 @@
+import dotenv from 'dotenv'
+import { logger } from '../utils/logger.js'
+dotenv.config()
+
+// Local numbers without a country code are taken to be Pakistani
+const DEFAULT_COUNTRY_CODE = process.env.SMS_DEFAULT_COUNTRY_CODE || '92'
+
+// Give up on the SMS provider after this long
+const SMS_TIMEOUT_MS = parseInt(process.env.SMS_TIMEOUT_MS || '5000')
+
+// The only environments where SMS may be logged instead of sent
+const CONSOLE_ENVIRONMENTS = ['development', 'test']
+
+/**
+ * Normalize a phone number to E.164 (+923001234567), or null when it is not one.
+ * Accepts spaces, dashes and brackets, 00 and + prefixes, and local 03xx numbers.
+ */
+export function normalizePhone(input) {
+  if (typeof input !== 'string' && typeof input !== 'number') return null
+  let digits = String(input).trim().replace(/[\s\-().]/g, '')
+
+  if (digits.startsWith('+')) digits = digits.slice(1)
+  else if (digits.startsWith('00')) digits = digits.slice(2)
+  else if (digits.startsWith('0')) digits = DEFAULT_COUNTRY_CODE + digits.slice(1)
+
+  return /^[1-9]\d{9,14}$/.test(digits) ? `+${digits}` : null
+}
+
+/**
+ * SMS transport for the Twilio Messages API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER).
+ * A transport's send(to, body) resolves once the provider has accepted the message.
+ */
+export function createTwilioTransport({
+  accountSid = process.env.TWILIO_ACCOUNT_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN,
+  from = process.env.TWILIO_FROM_NUMBER
+} = {}) {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`
+  const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64')
+
+  return {
+    name: 'twilio',
+    async send(to, body) {
+      const controller = new AbortController()
+      const timer = setTimeout(() => controller.abort(), SMS_TIMEOUT_MS)
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: `Basic ${auth}`
+        },
+        body: new URLSearchParams({ To: to, From: from, Body: body }),
+        signal: controller.signal
+      }).finally(() => clearTimeout(timer))
+      if (!response.ok) {
+        const { message } = await response.json().catch(() => ({}))
+        throw new Error(`SMS provider responded ${response.status}${message ? `: ${message}` : ''}`)
+      }
+    }
+  }
+}
+
+/**
+ * Transport for local development: logs that a message was not sent, with
+ * every digit masked so one-time codes never reach the log
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(to, body) {
+      logger.info(`SMS (not sent) to ${to}: ${body.replace(/\d/g, '*')}`)
+    }
+  }
+}
+
+/**
+ * Twilio when configured; the console transport only in development and tests,
+ * anywhere else a missing Twilio configuration fails at startup
+ */
+function defaultTransport() {
+  const wanted = process.env.SMS_TRANSPORT || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'console')
+  const twilioConfigured = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'].every(key => process.env[key])
+
+  if (wanted === 'twilio' && twilioConfigured) return createTwilioTransport()
+  if (wanted !== 'twilio' && CONSOLE_ENVIRONMENTS.includes(process.env.NODE_ENV)) return createConsoleTransport()
+  throw new Error('SMS is not configured: set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER')
+}
+
+let transport = defaultTransport()
+
+/**
+ * Swap the SMS transport, e.g. for a stub in tests
+ */
+export function setSmsTransport(next) {
+  transport = next || defaultTransport()
+}
+
+export function sendSms(to, body) {
+  return transport.send(to, body)
+}
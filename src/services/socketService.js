@@ -0,0 +1,140 @@
+import { Server } from 'socket.io'
+import { verifyAccessToken } from '../middlewares/authMiddleware.js'
+import { logger } from '../utils/logger.js'
+import { registerNotificationChannel } from './notificationService.js'
+import {
+  findConversationForUser,
+  otherParticipantId,
+  createMessage,
+  markConversationRead
+} from './chatService.js'
+
+let io = null
+
+const userRoom = (userId) => `user:${userId}`
+
+function tokenFromHandshake(handshake) {
+  if (handshake.auth?.token) return handshake.auth.token
+  const header = handshake.headers.authorization
+  if (header && header.startsWith('Bearer ')) return header.split(' ')[1]
+  return null
+}
+
+/**
+ * Push an event to every socket the user has open
+ */
+export function emitToUser(userId, event, payload) {
+  if (io) io.to(userRoom(userId)).emit(event, payload)
+}
+
+/**
+ * Deliver a new message to both participants (the sender's other devices included)
+ */
+export function broadcastMessage(conversation, message) {
+  emitToUser(conversation.participant1Id, 'message:new', message)
+  emitToUser(conversation.participant2Id, 'message:new', message)
+}
+
+/**
+ * Tell the sender their messages in this conversation were read
+ */
+export function broadcastRead(conversation, readerId) {
+  emitToUser(otherParticipantId(conversation, readerId), 'messages:read', {
+    conversationId: conversation.id,
+    readerId,
+    readAt: new Date()
+  })
+}
+
+/**
+ * Attach the chat socket server to the HTTP server.
+ * Clients authenticate with the same access token as the REST API,
+ * passed as `auth.token` or an `Authorization: Bearer` header.
+ * Stored notifications are pushed live as `notification:new`.
+ */
+export function initSocket(httpServer) {
+  io = new Server(httpServer, { cors: { origin: true, credentials: true } })
+  registerNotificationChannel((notification) => emitToUser(notification.userId, 'notification:new', notification))
+
+  io.use(async (socket, next) => {
+    const token = tokenFromHandshake(socket.handshake)
+    if (!token) return next(new Error('Missing auth token'))
+    try {
+      const user = await verifyAccessToken(token)
+      if (!user) return next(new Error('Invalid token'))
+      socket.user = user
+      next()
+    } catch (err) {
+      next(new Error('Unauthorized'))
+    }
+  })
+
+  io.on('connection', (socket) => {
+    const userId = socket.user.id
+    socket.join(userRoom(userId))
+
+    // Conversations already checked on this socket, so typing events don't hit the database
+    const conversations = new Map()
+    const conversationFor = async (conversationId) => {
+      const id = parseInt(conversationId)
+      if (!conversations.has(id)) {
+        const conversation = await findConversationForUser(id, userId)
+        if (!conversation) return null
+        conversations.set(id, conversation)
+      }
+      return conversations.get(id)
+    }
+
+    const reply = (ack, body) => {
+      if (typeof ack === 'function') ack(body)
+    }
+
+    socket.on('message:send', async ({ conversationId, content, imageUrl } = {}, ack) => {
+      try {
+        if (!content && !imageUrl) return reply(ack, { success: false, message: 'Message content or image required' })
+        const conversation = await conversationFor(conversationId)
+        if (!conversation) return reply(ack, { success: false, message: 'Conversation not found' })
+
+        const message = await createMessage(conversation, userId, { content, imageUrl })
+        broadcastMessage(conversation, message)
+        reply(ack, { success: true, data: message })
+      } catch (err) {
+        logger.error(`Socket message:send failed for user ${userId}: ${err.message}`)
+        reply(ack, { success: false, message: 'Failed to send message' })
+      }
+    })
+
+    socket.on('messages:read', async ({ conversationId } = {}, ack) => {
+      try {
+        const conversation = await conversationFor(conversationId)
+        if (!conversation) return reply(ack, { success: false, message: 'Conversation not found' })
+
+        const count = await markConversationRead(conversation, userId)
+        if (count > 0) broadcastRead(conversation, userId)
+        reply(ack, { success: true, data: { count } })
+      } catch (err) {
+        logger.error(`Socket messages:read failed for user ${userId}: ${err.message}`)
+        reply(ack, { success: false, message: 'Failed to mark messages as read' })
+      }
+    })
+
+    const typing = (isTyping) => async ({ conversationId } = {}) => {
+      try {
+        const conversation = await conversationFor(conversationId)
+        if (!conversation) return
+        emitToUser(otherParticipantId(conversation, userId), 'typing', {
+          conversationId: conversation.id,
+          userId,
+          isTyping
+        })
+      } catch (err) {
+        logger.error(`Socket typing event failed for user ${userId}: ${err.message}`)
+      }
+    }
+
+    socket.on('typing:start', typing(true))
+    socket.on('typing:stop', typing(false))
+  })
+
+  return io
+}
@@ -0,0 +1,118 @@
+import { PrismaClient } from '@prisma/client'
+import { queueTemplatedEmail } from './emailQueueService.js'
+import { logger } from '../utils/logger.js'
+import { EmailTemplate, OrderStatus } from '../constants/enums.js'
+const prisma = new PrismaClient()
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const isoDate = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * The last full Monday-to-Sunday week (UTC) before `now`; `end` is the
+ * Monday midnight that closes it
+ */
+export function previousWeek(now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  const sinceMonday = (now.getUTCDay() + 6) % 7
+  const end = new Date(today - sinceMonday * DAY_MS)
+  return { start: new Date(end.getTime() - 7 * DAY_MS), end }
+}
+
+/**
+ * Listings created, and orders completed as buyer or seller, per user in the week
+ */
+export async function collectWeeklyActivity({ start, end }) {
+  const [listings, completions] = await Promise.all([
+    prisma.listing.groupBy({
+      by: ['userId'],
+      where: { createdAt: { gte: start, lt: end } },
+      _count: { _all: true }
+    }),
+    prisma.orderEvent.findMany({
+      where: { toStatus: OrderStatus.COMPLETED, createdAt: { gte: start, lt: end } },
+      select: { order: { select: { buyerId: true, sellerId: true, weight: true } } }
+    })
+  ])
+
+  const activity = new Map()
+  const statsFor = (userId) => {
+    if (!activity.has(userId)) activity.set(userId, { listingsCreated: 0, ordersCompleted: 0, totalWeight: 0 })
+    return activity.get(userId)
+  }
+
+  for (const row of listings) statsFor(row.userId).listingsCreated = row._count._all
+  for (const { order } of completions) {
+    for (const userId of [order.buyerId, order.sellerId]) {
+      const stats = statsFor(userId)
+      stats.ordersCompleted++
+      stats.totalWeight += order.weight
+    }
+  }
+
+  return activity
+}
+
+/**
+ * Queue a WEEKLY_SUMMARY email to every user with activity last week. Users
+ * are marked in the database, so a restart or a second run in the same week
+ * does not send again.
+ */
+export async function runWeeklySummaries(now = new Date()) {
+  const week = previousWeek(now)
+  const activity = await collectWeeklyActivity(week)
+  if (activity.size === 0) return { checked: 0, sent: 0 }
+
+  const users = await prisma.user.findMany({
+    where: {
+      id: { in: [...activity.keys()] },
+      deletedAt: null,
+      email: { not: null },
+      OR: [{ weeklySummarySentAt: null }, { weeklySummarySentAt: { lt: week.end } }]
+    },
+    select: { id: true, email: true, name: true, businessName: true, companyName: true, locale: true }
+  })
+
+  let sent = 0
+  for (const user of users) {
+    const stats = activity.get(user.id)
+    try {
+      await queueTemplatedEmail({
+        to: user.email,
+        template: EmailTemplate.WEEKLY_SUMMARY,
+        locale: user.locale,
+        vars: {
+          name: user.name || user.businessName || user.companyName || user.email,
+          weekStart: isoDate(week.start),
+          weekEnd: isoDate(new Date(week.end.getTime() - DAY_MS)),
+          listingsCreated: stats.listingsCreated,
+          ordersCompleted: stats.ordersCompleted,
+          totalWeight: Math.round(stats.totalWeight * 100) / 100
+        }
+      })
+      await prisma.user.update({ where: { id: user.id }, data: { weeklySummarySentAt: now } })
+      sent++
+    } catch (err) {
+      logger.error(`Failed to queue weekly summary to user ${user.id}: ${err.message}`)
+    }
+  }
+
+  return { checked: users.length, sent }
+}
+
+/**
+ * Check for due weekly summaries on an interval (WEEKLY_SUMMARY_INTERVAL_MINUTES,
+ * default 60); each week's summaries go out on the first check after Monday 00:00 UTC
+ */
+export function startWeeklySummaryJob() {
+  const minutes = parseInt(process.env.WEEKLY_SUMMARY_INTERVAL_MINUTES || '60')
+  const timer = setInterval(() => {
+    runWeeklySummaries()
+      .then(({ checked, sent }) => {
+        if (checked) logger.info(`Weekly summaries: ${checked} users, ${sent} emails sent`)
+      })
+      .catch(err => logger.error('Weekly summary run failed: ' + err.message))
+  }, minutes * 60 * 1000)
+  timer.unref()
+  return timer
+}
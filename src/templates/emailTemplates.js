@@ -0,0 +1,137 @@
+import { EmailTemplate } from '../constants/enums.js'
+
+/**
+ * Transactional email templates, rendered by emailService.renderEmail().
+ * Each locale variant has a subject and a plain-text body; `{{variable}}`
+ * placeholders are filled from the variables listed for the template.
+ * An html body is optional and is built from the text when left out.
+ * `sample` holds the values used by the admin preview.
+ */
+export const EMAIL_TEMPLATES = {
+  [EmailTemplate.OTP]: {
+    description: 'Email verification code sent on registration and resend',
+    variables: ['otp', 'expiresInMinutes'],
+    sample: { otp: '483920', expiresInMinutes: 15 },
+    locales: {
+      en: {
+        subject: 'Verify your RecyConnect email',
+        text: 'Your RecyConnect verification code is {{otp}}.\n\n' +
+          'It expires in {{expiresInMinutes}} minutes. If you did not sign up, you can ignore this email.'
+      },
+      ur: {
+        subject: 'اپنی RecyConnect ای میل کی تصدیق کریں',
+        text: 'آپ کا RecyConnect تصدیقی کوڈ {{otp}} ہے۔\n\n' +
+          'یہ کوڈ {{expiresInMinutes}} منٹ میں ختم ہو جائے گا۔ اگر آپ نے اکاؤنٹ نہیں بنایا تو اس ای میل کو نظر انداز کر دیں۔'
+      }
+    }
+  },
+
+  [EmailTemplate.PASSWORD_RESET]: {
+    description: 'Password reset code sent from forgot password',
+    variables: ['otp', 'expiresInMinutes'],
+    sample: { otp: '902157', expiresInMinutes: 15 },
+    locales: {
+      en: {
+        subject: 'RecyConnect password reset code',
+        text: 'Use the code {{otp}} to reset your RecyConnect password.\n\n' +
+          'It expires in {{expiresInMinutes}} minutes. If you did not ask to reset your password, you can ignore this email.'
+      },
+      ur: {
+        subject: 'RecyConnect پاس ورڈ ری سیٹ کوڈ',
+        text: 'اپنا RecyConnect پاس ورڈ ری سیٹ کرنے کے لیے کوڈ {{otp}} استعمال کریں۔\n\n' +
+          'یہ کوڈ {{expiresInMinutes}} منٹ میں ختم ہو جائے گا۔ اگر آپ نے پاس ورڈ ری سیٹ کی درخواست نہیں کی تو اس ای میل کو نظر انداز کر دیں۔'
+      }
+    }
+  },
+
+  [EmailTemplate.KYC_APPROVED]: {
+    description: 'Sent when an admin approves a user\'s documents',
+    variables: ['name', 'role'],
+    sample: { name: 'Green Recyclers', role: 'warehouse' },
+    locales: {
+      en: {
+        subject: 'Your RecyConnect account is verified',
+        text: 'Hello {{name}},\n\n' +
+          'Your documents have been reviewed and your {{role}} account is now verified. You can use all RecyConnect features.'
+      },
+      ur: {
+        subject: 'آپ کا RecyConnect اکاؤنٹ تصدیق شدہ ہے',
+        text: 'السلام علیکم {{name}}،\n\n' +
+          'آپ کے دستاویزات کا جائزہ لے لیا گیا ہے اور آپ کا {{role}} اکاؤنٹ اب تصدیق شدہ ہے۔ آپ RecyConnect کی تمام سہولیات استعمال کر سکتے ہیں۔'
+      }
+    }
+  },
+
+  [EmailTemplate.KYC_REJECTED]: {
+    description: 'Sent when an admin rejects a user\'s documents',
+    variables: ['name', 'reason'],
+    sample: { name: 'Green Recyclers', reason: 'The CNIC image is not readable' },
+    locales: {
+      en: {
+        subject: 'Action needed: RecyConnect verification',
+        text: 'Hello {{name}},\n\n' +
+          'We could not verify your documents.\nReason: {{reason}}\n\n' +
+          'Please upload clear copies from the app to try again.'
+      },
+      ur: {
+        subject: 'کارروائی درکار ہے: RecyConnect تصدیق',
+        text: 'السلام علیکم {{name}}،\n\n' +
+          'ہم آپ کے دستاویزات کی تصدیق نہیں کر سکے۔\nوجہ: {{reason}}\n\n' +
+          'دوبارہ کوشش کے لیے ایپ سے واضح کاپیاں اپ لوڈ کریں۔'
+      }
+    }
+  },
+
+  [EmailTemplate.ORDER_UPDATE]: {
+    description: 'Order status change',
+    variables: ['name', 'orderId', 'materialType', 'weight', 'status'],
+    sample: { name: 'Ayesha', orderId: 1042, materialType: 'plastic', weight: 12.5, status: 'IN_PROGRESS' },
+    locales: {
+      en: {
+        subject: 'Order #{{orderId}} is now {{status}}',
+        text: 'Hello {{name}},\n\n' +
+          'Your order #{{orderId}} for {{weight}} kg of {{materialType}} is now {{status}}.\n\n' +
+          'Open the app to see the full timeline.'
+      },
+      ur: {
+        subject: 'آرڈر #{{orderId}} کی صورتحال: {{status}}',
+        text: 'السلام علیکم {{name}}،\n\n' +
+          'آپ کا آرڈر #{{orderId}} ({{weight}} کلو {{materialType}}) اب {{status}} ہے۔\n\n' +
+          'مکمل تفصیل کے لیے ایپ کھولیں۔'
+      }
+    }
+  },
+
+  [EmailTemplate.WEEKLY_SUMMARY]: {
+    description: 'Weekly activity summary',
+    variables: ['name', 'weekStart', 'weekEnd', 'listingsCreated', 'ordersCompleted', 'totalWeight'],
+    sample: {
+      name: 'Ayesha',
+      weekStart: '2026-10-12',
+      weekEnd: '2026-10-18',
+      listingsCreated: 3,
+      ordersCompleted: 2,
+      totalWeight: 27.5
+    },
+    locales: {
+      en: {
+        subject: 'Your RecyConnect week: {{weekStart}} to {{weekEnd}}',
+        text: 'Hello {{name}},\n\n' +
+          'Here is your week on RecyConnect:\n' +
+          '- Listings created: {{listingsCreated}}\n' +
+          '- Orders completed: {{ordersCompleted}}\n' +
+          '- Material recycled: {{totalWeight}} kg\n\n' +
+          'Thank you for recycling!'
+      },
+      ur: {
+        subject: 'RecyConnect پر آپ کا ہفتہ: {{weekStart}} تا {{weekEnd}}',
+        text: 'السلام علیکم {{name}}،\n\n' +
+          'RecyConnect پر آپ کے ہفتے کا خلاصہ:\n' +
+          '- نئی لسٹنگز: {{listingsCreated}}\n' +
+          '- مکمل آرڈرز: {{ordersCompleted}}\n' +
+          '- ری سائیکل شدہ مواد: {{totalWeight}} کلو\n\n' +
+          'ری سائیکلنگ کا شکریہ!'
+      }
+    }
+  }
+}
@@ -2,13 +2,14 @@
  * Build date range filter
  * @param {string} startDate 
  * @param {string} endDate 
+ * @param {string} field Date column to filter on (default createdAt)
  * @returns {object} Prisma date filter
  */
-export const buildDateFilter = (startDate, endDate) => {
+export const buildDateFilter = (startDate, endDate, field = 'createdAt') => {
     if (!startDate && !endDate) return {};
 
     return {
-        createdAt: {
+        [field]: {
             ...(startDate && { gte: new Date(startDate) }),
             ...(endDate && { lte: new Date(endDate) })
         }
@@ -47,3 +48,29 @@ export const getPaginationParams = (page = 1, limit = 10) => {
         limit: l
     };
 };
+
+/**
+ * Radius in km for geo searches (listings, saved searches) that give lat/lng without radiusKm
+ */
+export const DEFAULT_RADIUS_KM = parseFloat(process.env.LISTING_DEFAULT_RADIUS_KM || '25');
+
+/**
+ * Build a latitude/longitude bounding box around a point.
+ * Cheap pre-filter for radius searches; callers still check the exact distance.
+ * @param {number} latitude 
+ * @param {number} longitude 
+ * @param {number} radiusKm 
+ * @returns {object} Prisma latitude/longitude filter
+ */
+export const buildRadiusFilter = (latitude, longitude, radiusKm) => {
+    if (!radiusKm) return {};
+
+    const latDelta = radiusKm / 111.32;
+    // Longitude degrees shrink towards the poles; clamp so the box stays finite
+    const lngDelta = radiusKm / (111.32 * Math.max(Math.cos((latitude * Math.PI) / 180), 0.01));
+
+    return {
+        latitude: { gte: latitude - latDelta, lte: latitude + latDelta },
+        longitude: { gte: longitude - lngDelta, lte: longitude + lngDelta }
+    };
+};
@@ -0,0 +1,228 @@
+/**
+ * Chat Controller Integration Tests
+ * Tests: getConversations, getOrCreateConversation, getMessages, sendMessage, startListingChat
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+const prisma = new PrismaClient();
+
+// Import routes
+import chatRoutes from '../src/routes/chatRoutes.js';
+import listingRoutes from '../src/routes/listingRoutes.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+app.use('/api/listings', listingRoutes);
+
+// Helper to generate token - MUST match auth middleware expectations
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, role: user.role },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: '1h' }
+    );
+}
+
+describe('Chat Controller', () => {
+    let buyer, seller;
+    let buyerToken, sellerToken;
+    let conversationId;
+    let listing;
+
+    beforeAll(async () => {
+        const hashedPassword = await bcrypt.hash('TestPassword123', 10);
+
+        buyer = await prisma.user.create({
+            data: {
+                name: 'Chat Buyer',
+                email: `chatbuyer${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'warehouse',
+                emailVerified: true
+            }
+        });
+
+        seller = await prisma.user.create({
+            data: {
+                name: 'Chat Seller',
+                email: `chatseller${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'individual',
+                emailVerified: true
+            }
+        });
+
+        buyerToken = generateToken(buyer);
+        sellerToken = generateToken(seller);
+
+        listing = await prisma.listing.create({
+            data: {
+                userId: seller.id,
+                materialType: 'plastic',
+                estimatedWeight: 5,
+                pickupAddress: 'Chat Test Street'
+            }
+        });
+    });
+
+    afterAll(async () => {
+        const conversations = { OR: [{ participant1Id: buyer.id }, { participant2Id: buyer.id }] };
+        await prisma.message.deleteMany({ where: { conversation: conversations } }).catch(() => { });
+        await prisma.conversation.deleteMany({ where: conversations }).catch(() => { });
+        await prisma.listing.deleteMany({ where: { userId: seller.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { email: { contains: 'chatbuyer' } } });
+        await prisma.user.deleteMany({ where: { email: { contains: 'chatseller' } } });
+        await prisma.$disconnect();
+    });
+
+    describe('POST /api/chat/conversations', () => {
+        it('should fail without authentication', async () => {
+            const res = await request(app)
+                .post('/api/chat/conversations')
+                .send({ otherUserId: 1 });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should not allow a conversation with yourself', async () => {
+            const res = await request(app)
+                .post('/api/chat/conversations')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ otherUserId: buyer.id });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should create a conversation with another user', async () => {
+            const res = await request(app)
+                .post('/api/chat/conversations')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ otherUserId: seller.id });
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.data.otherParticipant.id).toBe(seller.id);
+                conversationId = res.body.data.id;
+            }
+        });
+    });
+
+    describe('Unread counts', () => {
+        it('should count every unread message from the other participant', async () => {
+            if (!conversationId) return;
+
+            for (const content of ['Hello', 'Is the plastic still available?']) {
+                await request(app)
+                    .post('/api/chat/messages')
+                    .set('Authorization', `Bearer ${buyerToken}`)
+                    .send({ conversationId, content });
+            }
+
+            const res = await request(app)
+                .get('/api/chat/conversations')
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                const conversation = res.body.data.find(c => c.id === conversationId);
+                expect(conversation.unreadCount).toBe(2);
+            }
+        });
+
+        it('should reset the unread count once messages are read', async () => {
+            if (!conversationId) return;
+
+            await request(app)
+                .get(`/api/chat/conversations/${conversationId}/messages`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            const res = await request(app)
+                .get('/api/chat/conversations')
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                const conversation = res.body.data.find(c => c.id === conversationId);
+                expect(conversation.unreadCount).toBe(0);
+            }
+        });
+    });
+
+    describe('Listing conversations', () => {
+        let listingConversationId;
+
+        it('should start a chat with the listing owner', async () => {
+            const res = await request(app)
+                .post(`/api/listings/${listing.id}/chat`)
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.data.otherParticipant.id).toBe(seller.id);
+                expect(res.body.data.listing.id).toBe(listing.id);
+                listingConversationId = res.body.data.id;
+            }
+        });
+
+        it('should keep the listing thread separate from the general one', async () => {
+            if (!listingConversationId || !conversationId) return;
+            expect(listingConversationId).not.toBe(conversationId);
+        });
+
+        it('should reuse the thread and expose it on the listing', async () => {
+            if (!listingConversationId) return;
+
+            const again = await request(app)
+                .post('/api/chat/conversations')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ listingId: listing.id });
+
+            expect(again.status).toBe(200);
+            expect(again.body.data.id).toBe(listingConversationId);
+
+            const res = await request(app)
+                .get(`/api/listings/${listing.id}`)
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect(res.body.data.conversationId).toBe(listingConversationId);
+        });
+
+        it('should not let the owner chat with themselves', async () => {
+            const res = await request(app)
+                .post(`/api/listings/${listing.id}/chat`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should show the deal in the conversation list', async () => {
+            const res = await request(app)
+                .get(`/api/chat/conversations?listingId=${listing.id}`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200 && listingConversationId) {
+                expect(res.body.data).toHaveLength(1);
+                expect(res.body.data[0].listing.materialType).toBe('plastic');
+                expect(res.body.data[0].order).toBeNull();
+            }
+        });
+    });
+
+    describe('POST /api/chat/messages', () => {
+        it('should fail without conversationId', async () => {
+            const res = await request(app)
+                .post('/api/chat/messages')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ content: 'Hi' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+    });
+});
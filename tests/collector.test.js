@@ -0,0 +1,348 @@
+/**
+ * Collector Pickup Job Integration Tests
+ * Tests: assignJob, getWarehouseJobs, getCollectorJobs, updateJobStatus, getCollectorRoute, getPickupCode
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+const prisma = new PrismaClient();
+
+// Import routes
+import warehouseRoutes from '../src/routes/warehouseRoute.js';
+import collectorRoutes from '../src/routes/collectorRoutes.js';
+import orderRoutes from '../src/routes/orderRoutes.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/warehouse', warehouseRoutes);
+app.use('/api/collector', collectorRoutes);
+app.use('/api/orders', orderRoutes);
+
+// Helper to generate token - MUST match auth middleware expectations
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, role: user.role },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: '1h' }
+    );
+}
+
+describe('Collector Pickup Jobs', () => {
+    let warehouse, collector, otherCollector, seller;
+    let warehouseToken, collectorToken, sellerToken;
+    let order;
+    let jobId;
+
+    beforeAll(async () => {
+        const hashedPassword = await bcrypt.hash('TestPassword123', 10);
+        const stamp = Date.now();
+
+        warehouse = await prisma.user.create({
+            data: {
+                name: 'Jobs Warehouse',
+                email: `jobswh${stamp}@test.com`,
+                password: hashedPassword,
+                role: 'warehouse',
+                emailVerified: true,
+                latitude: 31.50,
+                longitude: 74.30
+            }
+        });
+
+        seller = await prisma.user.create({
+            data: {
+                name: 'Jobs Seller',
+                email: `jobsseller${stamp}@test.com`,
+                password: hashedPassword,
+                role: 'individual',
+                emailVerified: true
+            }
+        });
+
+        collector = await prisma.user.create({
+            data: {
+                name: 'Jobs Collector',
+                collectorId: `COL-J${stamp}`,
+                password: hashedPassword,
+                role: 'collector',
+                createdById: warehouse.id,
+                assignedWarehouseId: warehouse.id
+            }
+        });
+
+        // Belongs to no warehouse, so it cannot be assigned
+        otherCollector = await prisma.user.create({
+            data: {
+                name: 'Other Collector',
+                collectorId: `COL-O${stamp}`,
+                password: hashedPassword,
+                role: 'collector'
+            }
+        });
+
+        warehouseToken = generateToken(warehouse);
+        collectorToken = generateToken(collector);
+        sellerToken = generateToken(seller);
+
+        order = await prisma.order.create({
+            data: {
+                buyerId: warehouse.id,
+                sellerId: seller.id,
+                materialType: 'paper',
+                weight: 6,
+                pickupAddress: 'Jobs Street 1',
+                latitude: 31.5,
+                longitude: 74.3,
+                status: 'ACCEPTED'
+            }
+        });
+    });
+
+    afterAll(async () => {
+        const userIds = [warehouse.id, seller.id, collector.id, otherCollector.id];
+        await prisma.activityLog.deleteMany({ where: { userId: { in: userIds } } }).catch(() => { });
+        await prisma.order.deleteMany({ where: { buyerId: warehouse.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { id: { in: [collector.id, otherCollector.id] } } });
+        await prisma.user.deleteMany({ where: { id: { in: [warehouse.id, seller.id] } } });
+        await prisma.$disconnect();
+    });
+
+    describe('POST /api/warehouse/jobs', () => {
+        it('should not assign a collector from another warehouse', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/jobs')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ orderId: order.id, collectorId: otherCollector.id });
+
+            expect([401, 404]).toContain(res.status);
+        });
+
+        it('should assign the order to a collector', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/jobs')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ orderId: order.id, collectorId: collector.id, notes: 'Call on arrival' });
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.data.status).toBe('ASSIGNED');
+                expect(res.body.data.collector.id).toBe(collector.id);
+                expect(res.body.data.confirmationCode).toBeUndefined();
+                jobId = res.body.data.id;
+            }
+        });
+    });
+
+    describe('GET /api/collector/jobs', () => {
+        it('should not be available to warehouses', async () => {
+            const res = await request(app)
+                .get('/api/collector/jobs')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should list the pickup with address and coordinates', async () => {
+            if (!jobId) return;
+
+            const res = await request(app)
+                .get('/api/collector/jobs')
+                .set('Authorization', `Bearer ${collectorToken}`);
+
+            expect(res.status).toBe(200);
+            const job = res.body.data.find(j => j.id === jobId);
+            expect(job.order.pickupAddress).toBe('Jobs Street 1');
+            expect(job.order.latitude).toBe(31.5);
+            expect(job.order.longitude).toBe(74.3);
+            expect(job.warehouse.id).toBe(warehouse.id);
+        });
+    });
+
+    describe('PUT /api/collector/jobs/:id/status', () => {
+        it('should not skip straight to DELIVERED', async () => {
+            if (!jobId) return;
+
+            const res = await request(app)
+                .put(`/api/collector/jobs/${jobId}/status`)
+                .set('Authorization', `Bearer ${collectorToken}`)
+                .send({ status: 'DELIVERED' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should show the confirmation code to the seller only', async () => {
+            if (!jobId) return;
+
+            const res = await request(app)
+                .get(`/api/orders/${order.id}/pickup-code`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.confirmationCode).toMatch(/^\d{6}$/);
+            expect(res.body.data.collector.id).toBe(collector.id);
+
+            const asBuyer = await request(app)
+                .get(`/api/orders/${order.id}/pickup-code`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect(asBuyer.status).toBe(404);
+        });
+
+        it('should require the weighed quantity at pickup', async () => {
+            if (!jobId) return;
+
+            const res = await request(app)
+                .put(`/api/collector/jobs/${jobId}/status`)
+                .set('Authorization', `Bearer ${collectorToken}`)
+                .send({ status: 'PICKED_UP', confirmationCode: '000000' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should reject a wrong confirmation code', async () => {
+            if (!jobId) return;
+
+            const { confirmationCode } = await prisma.collectionJob.findUnique({ where: { id: jobId } });
+            const wrongCode = confirmationCode === '000000' ? '111111' : '000000';
+
+            const res = await request(app)
+                .put(`/api/collector/jobs/${jobId}/status`)
+                .set('Authorization', `Bearer ${collectorToken}`)
+                .send({ status: 'PICKED_UP', actualWeight: 7.5, confirmationCode: wrongCode });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should start the order when picked up and store the weighed quantity', async () => {
+            if (!jobId) return;
+
+            const { confirmationCode } = await prisma.collectionJob.findUnique({ where: { id: jobId } });
+
+            const res = await request(app)
+                .put(`/api/collector/jobs/${jobId}/status`)
+                .set('Authorization', `Bearer ${collectorToken}`)
+                .send({ status: 'PICKED_UP', actualWeight: 7.5, confirmationCode, latitude: 31.5, longitude: 74.3 });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.status).toBe('PICKED_UP');
+            expect(res.body.data.pickedUpAt).toBeTruthy();
+            expect(res.body.data.confirmedAt).toBeTruthy();
+            expect(res.body.data.estimatedWeight).toBe(6);
+            expect(res.body.data.actualWeight).toBe(7.5);
+            expect(res.body.data.weightVariance).toBe(1.5);
+            expect(res.body.data.weightVariancePercent).toBe(25);
+            expect(res.body.data.confirmationCode).toBeUndefined();
+            expect(res.body.data.order.status).toBe('IN_PROGRESS');
+            expect(res.body.data.order.weight).toBe(7.5);
+        });
+
+        it('should not let the warehouse reassign a picked-up job', async () => {
+            if (!jobId) return;
+
+            const res = await request(app)
+                .post('/api/warehouse/jobs')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ orderId: order.id, collectorId: collector.id });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should mark the job delivered and record both steps on the timeline', async () => {
+            if (!jobId) return;
+
+            const res = await request(app)
+                .put(`/api/collector/jobs/${jobId}/status`)
+                .set('Authorization', `Bearer ${collectorToken}`)
+                .send({ status: 'DELIVERED' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.status).toBe('DELIVERED');
+
+            const events = await prisma.orderEvent.findMany({
+                where: { orderId: order.id, actorId: collector.id },
+                orderBy: { id: 'asc' }
+            });
+            expect(events.map(e => e.toStatus)).toEqual(['IN_PROGRESS', 'IN_PROGRESS']);
+            expect(events[0].fromStatus).toBe('ACCEPTED');
+        });
+    });
+
+    describe('GET /api/collector/route', () => {
+        beforeAll(async () => {
+            // Three pickups east of the warehouse, created out of visiting order
+            for (const longitude of [74.50, 74.32, 74.40]) {
+                const stopOrder = await prisma.order.create({
+                    data: {
+                        buyerId: warehouse.id,
+                        sellerId: seller.id,
+                        materialType: 'plastic',
+                        weight: 2,
+                        pickupAddress: `Route Stop ${longitude}`,
+                        latitude: 31.50,
+                        longitude,
+                        status: 'ACCEPTED'
+                    }
+                });
+                await prisma.collectionJob.create({
+                    data: { orderId: stopOrder.id, collectorId: collector.id, warehouseId: warehouse.id, confirmationCode: '123456' }
+                });
+            }
+
+            // No coordinates, so it can't be placed on the route
+            const unlocated = await prisma.order.create({
+                data: {
+                    buyerId: warehouse.id,
+                    sellerId: seller.id,
+                    materialType: 'plastic',
+                    weight: 1,
+                    pickupAddress: 'Somewhere Unmapped',
+                    status: 'ACCEPTED'
+                }
+            });
+            await prisma.collectionJob.create({
+                data: { orderId: unlocated.id, collectorId: collector.id, warehouseId: warehouse.id, confirmationCode: '123456' }
+            });
+        });
+
+        it('should reject an invalid date', async () => {
+            const res = await request(app)
+                .get('/api/collector/route?date=not-a-date')
+                .set('Authorization', `Bearer ${collectorToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should order stops from the warehouse outwards with leg distances', async () => {
+            const res = await request(app)
+                .get('/api/collector/route')
+                .set('Authorization', `Bearer ${collectorToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status !== 200) return;
+
+            const { stops, unroutable, totalDistanceKm, returnDistanceKm } = res.body.data;
+            expect(stops.map(s => s.longitude)).toEqual([74.32, 74.40, 74.50]);
+            expect(stops.map(s => s.sequence)).toEqual([1, 2, 3]);
+            expect(stops[0].legDistanceKm).toBeGreaterThan(0);
+            expect(totalDistanceKm).toBeCloseTo(stops[2].cumulativeDistanceKm + returnDistanceKm, 1);
+            expect(unroutable.map(s => s.pickupAddress)).toEqual(['Somewhere Unmapped']);
+        });
+    });
+
+    describe('GET /api/warehouse/jobs', () => {
+        it('should filter jobs by status', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/jobs?status=DELIVERED')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200 && jobId) {
+                expect(res.body.data.map(j => j.id)).toContain(jobId);
+            }
+        });
+    });
+});
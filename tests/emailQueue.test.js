@@ -0,0 +1,229 @@
+/**
+ * Email Queue Tests
+ * Tests: queueEmail, processEmailQueue retries, dead letter and cleanup, code emails encrypted in the
+ *        outbox, admin failed-email view and retry
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { jest } from '@jest/globals';
+import { createTestUser, createAdminUser, generateTestToken, prisma } from './helpers.js';
+
+// Stand-in SMTP transport whose failures the tests control
+const sendMail = jest.fn();
+jest.unstable_mockModule('nodemailer', () => ({
+    __esModule: true,
+    default: { createTransport: () => ({ sendMail }) }
+}));
+
+describe('Email Queue', () => {
+    let app;
+    let emailQueue;
+    let admin, adminToken, pendingUser;
+    const recipient = `queue${Date.now()}@test.com`;
+
+    beforeAll(async () => {
+        emailQueue = await import('../src/services/emailQueueService.js');
+        const adminRouter = (await import('../src/routes/adminRoute.js')).default;
+        const authRouter = (await import('../src/routes/authRoute.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/admin', adminRouter);
+        app.use('/api/auth', authRouter);
+
+        admin = await createAdminUser();
+        adminToken = generateTestToken(admin);
+        pendingUser = await createTestUser({ email: `queueotp${Date.now()}@test.com`, emailVerified: false });
+    });
+
+    beforeEach(() => {
+        sendMail.mockReset();
+    });
+
+    afterAll(async () => {
+        await prisma.emailOutbox.deleteMany({ where: { to: { in: [recipient, pendingUser.email] } } });
+        await prisma.otp.deleteMany({ where: { userId: pendingUser.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { id: { in: [admin.id, pendingUser.id] } } });
+        await prisma.$disconnect();
+    });
+
+    describe('retryDelaySeconds', () => {
+        it('should back off exponentially up to an hour', () => {
+            const base = emailQueue.retryDelaySeconds(1);
+            expect(emailQueue.retryDelaySeconds(2)).toBe(base * 2);
+            expect(emailQueue.retryDelaySeconds(3)).toBe(base * 4);
+            expect(emailQueue.retryDelaySeconds(30)).toBe(3600);
+        });
+    });
+
+    describe('processEmailQueue', () => {
+        it('should store the email without sending it', async () => {
+            const email = await emailQueue.queueEmail({ to: recipient, subject: 'Queued', text: 'Hello' });
+
+            expect(email.status).toBe('PENDING');
+            expect(email.attempts).toBe(0);
+            expect(sendMail).not.toHaveBeenCalled();
+        });
+
+        it('should send due emails and mark them sent', async () => {
+            sendMail.mockResolvedValue({ messageId: 'ok' });
+            const email = await emailQueue.queueEmail({ to: recipient, subject: 'Send me', text: 'Hello' });
+
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+
+            const stored = await prisma.emailOutbox.findUnique({ where: { id: email.id } });
+            expect(stored.status).toBe('SENT');
+            expect(stored.attempts).toBe(1);
+            expect(stored.sentAt).toBeTruthy();
+            expect(sendMail.mock.calls.some(([mail]) => mail.subject === 'Send me')).toBe(true);
+        });
+
+        it('should schedule a retry with backoff when SMTP fails', async () => {
+            sendMail.mockRejectedValue(new Error('connect ECONNREFUSED'));
+            const email = await emailQueue.queueEmail({ to: recipient, subject: 'Retry me', text: 'Hello' });
+
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+
+            const stored = await prisma.emailOutbox.findUnique({ where: { id: email.id } });
+            expect(stored.status).toBe('PENDING');
+            expect(stored.attempts).toBe(1);
+            expect(stored.lastError).toContain('ECONNREFUSED');
+            expect(stored.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+            // Not due yet, so the next run leaves it alone
+            sendMail.mockClear();
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+            expect(sendMail.mock.calls.some(([mail]) => mail.subject === 'Retry me')).toBe(false);
+        });
+
+        it('should dead-letter an email on its last attempt', async () => {
+            sendMail.mockRejectedValue(new Error('550 mailbox unavailable'));
+            const email = await prisma.emailOutbox.create({
+                data: { to: recipient, subject: 'Dead', text: 'Hello', attempts: 4, maxAttempts: 5 }
+            });
+
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+
+            const stored = await prisma.emailOutbox.findUnique({ where: { id: email.id } });
+            expect(stored.status).toBe('DEAD');
+            expect(stored.attempts).toBe(5);
+        });
+
+        it('should delete sent emails past the retention period', async () => {
+            const old = await prisma.emailOutbox.create({
+                data: { to: recipient, subject: 'Old', text: 'Hello', status: 'SENT', sentAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+            });
+
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+
+            expect(await prisma.emailOutbox.findUnique({ where: { id: old.id } })).toBeNull();
+        });
+    });
+
+    describe('Emails with one-time codes', () => {
+        it('should store the code only encrypted and erase it once sent', async () => {
+            sendMail.mockResolvedValue({ messageId: 'ok' });
+            const email = await emailQueue.queueTemplatedEmail({
+                to: recipient,
+                template: 'OTP',
+                vars: { otp: '482913', expiresInMinutes: 15 }
+            });
+
+            const queued = await prisma.emailOutbox.findUnique({ where: { id: email.id } });
+            expect(queued.text).not.toContain('482913');
+            expect(queued.html).toBeNull();
+            expect(queued.secretBody).toBeTruthy();
+            expect(queued.secretBody).not.toContain('482913');
+
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+
+            const sentMail = sendMail.mock.calls.map(([mail]) => mail).find(mail => mail.to === recipient && mail.text.includes('482913'));
+            expect(sentMail).toBeTruthy();
+
+            const stored = await prisma.emailOutbox.findUnique({ where: { id: email.id } });
+            expect(stored.status).toBe('SENT');
+            expect(stored.text).not.toContain('482913');
+            expect(stored.secretBody).toBeNull();
+        });
+
+        it('should dead-letter a code email once the code has expired', async () => {
+            const stale = await prisma.emailOutbox.create({
+                data: { to: recipient, subject: 'Stale code', text: 'redacted', secretBody: 'sealed', template: 'OTP', createdAt: new Date(Date.now() - 60 * 60 * 1000) }
+            });
+
+            await emailQueue.processEmailQueue({ batchSize: 100 });
+
+            const stored = await prisma.emailOutbox.findUnique({ where: { id: stale.id } });
+            expect(stored.status).toBe('DEAD');
+            expect(stored.secretBody).toBeNull();
+            await expect(emailQueue.retryEmail(stale.id)).rejects.toMatchObject({ status: 400 });
+        });
+    });
+
+    describe('OTP flows while SMTP is down', () => {
+        it('should still accept a resend OTP request and queue the email', async () => {
+            sendMail.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+            const res = await request(app)
+                .post('/api/auth/resend-otp')
+                .send({ email: pendingUser.email });
+
+            expect([200, 429]).toContain(res.status);
+            if (res.status === 200) {
+                const queued = await prisma.emailOutbox.findFirst({ where: { to: pendingUser.email, template: 'OTP' } });
+                expect(queued.status).toBe('PENDING');
+            }
+        });
+    });
+
+    describe('Admin failed emails', () => {
+        let deadId;
+
+        beforeAll(async () => {
+            const dead = await prisma.emailOutbox.create({
+                data: { to: recipient, subject: 'Admin dead', text: 'Hello', status: 'DEAD', attempts: 5, lastError: 'timeout' }
+            });
+            deadId = dead.id;
+        });
+
+        it('should list dead-lettered emails with counts', async () => {
+            const res = await request(app)
+                .get(`/api/admin/emails?to=${recipient}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.map(e => e.id)).toContain(deadId);
+                expect(res.body.data.every(e => e.status === 'DEAD')).toBe(true);
+                expect(res.body.data.every(e => e.text === undefined && e.html === undefined)).toBe(true);
+                expect(res.body.counts.DEAD).toBeGreaterThanOrEqual(1);
+            }
+        });
+
+        it('should reject an unknown status', async () => {
+            const res = await request(app)
+                .get('/api/admin/emails?status=LOST')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should requeue a dead email once', async () => {
+            const res = await request(app)
+                .post(`/api/admin/emails/${deadId}/retry`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.status).toBe('PENDING');
+                expect(res.body.data.attempts).toBe(0);
+
+                const again = await request(app)
+                    .post(`/api/admin/emails/${deadId}/retry`)
+                    .set('Authorization', `Bearer ${adminToken}`);
+                expect(again.status).toBe(400);
+            }
+        });
+    });
+});
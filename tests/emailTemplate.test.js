@@ -0,0 +1,130 @@
+/**
+ * Email Template Tests
+ * Tests: renderEmail, listEmailTemplates, admin template list and preview
+ */
+import request from 'supertest';
+import { createTestApp, generateTestToken, createTestUser, createAdminUser, prisma } from './helpers.js';
+import adminRouter from '../src/routes/adminRoute.js';
+import { renderEmail, listEmailTemplates } from '../src/services/emailService.js';
+import { EmailTemplate } from '../src/constants/enums.js';
+
+const app = createTestApp(adminRouter, '/api/admin');
+
+describe('Email Templates', () => {
+    describe('renderEmail', () => {
+        it('should fill in variables in the subject, text and html', () => {
+            const email = renderEmail(EmailTemplate.ORDER_UPDATE, {
+                name: 'Ayesha', orderId: 7, materialType: 'plastic', weight: 12.5, status: 'COMPLETED'
+            });
+
+            expect(email.locale).toBe('en');
+            expect(email.subject).toBe('Order #7 is now COMPLETED');
+            expect(email.text).toContain('12.5 kg of plastic');
+            expect(email.html).toContain('<p>Hello Ayesha,</p>');
+        });
+
+        it('should render the Urdu variant right to left', () => {
+            const email = renderEmail(EmailTemplate.OTP, { otp: '123456', expiresInMinutes: 15 }, 'ur');
+
+            expect(email.locale).toBe('ur');
+            expect(email.text).toContain('123456');
+            expect(email.html).toContain('dir="rtl"');
+        });
+
+        it('should fall back to English for an unsupported locale', () => {
+            const email = renderEmail(EmailTemplate.OTP, { otp: '123456', expiresInMinutes: 15 }, 'fr');
+            expect(email.locale).toBe('en');
+            expect(email.subject).toBe('Verify your RecyConnect email');
+        });
+
+        it('should escape variables in the html but not in the text', () => {
+            const email = renderEmail(EmailTemplate.KYC_REJECTED, { name: 'A & B', reason: '<script>' });
+
+            expect(email.text).toContain('Reason: <script>');
+            expect(email.html).toContain('Reason: &lt;script&gt;');
+            expect(email.html).toContain('A &amp; B');
+        });
+
+        it('should reject missing variables and unknown templates', () => {
+            expect(() => renderEmail(EmailTemplate.KYC_APPROVED, { name: 'A' }))
+                .toThrow('Missing template variables: role');
+
+            try {
+                renderEmail('NOPE', {});
+            } catch (err) {
+                expect(err.status).toBe(404);
+            }
+        });
+
+        it('should have both locales for every template', () => {
+            for (const template of listEmailTemplates()) {
+                expect(template.locales).toEqual(expect.arrayContaining(['en', 'ur']));
+            }
+        });
+    });
+
+    describe('Admin preview', () => {
+        let admin, user, adminToken, userToken;
+
+        beforeAll(async () => {
+            admin = await createAdminUser();
+            user = await createTestUser({ email: `templateuser${Date.now()}@test.com` });
+            adminToken = generateTestToken(admin);
+            userToken = generateTestToken(user);
+        });
+
+        afterAll(async () => {
+            await prisma.user.deleteMany({ where: { id: { in: [admin.id, user.id] } } });
+            await prisma.$disconnect();
+        });
+
+        it('should list templates for admins only', async () => {
+            const forbidden = await request(app)
+                .get('/api/admin/email-templates')
+                .set('Authorization', `Bearer ${userToken}`);
+            expect([401, 403]).toContain(forbidden.status);
+
+            const res = await request(app)
+                .get('/api/admin/email-templates')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.map(t => t.name)).toContain('WEEKLY_SUMMARY');
+            }
+        });
+
+        it('should render a preview with sample values and overrides', async () => {
+            const res = await request(app)
+                .get('/api/admin/email-templates/KYC_REJECTED/preview?locale=ur&reason=Blurry')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.locale).toBe('ur');
+                expect(res.body.data.variables.reason).toBe('Blurry');
+                expect(res.body.data.text).toContain('Blurry');
+            }
+        });
+
+        it('should return the html page when asked', async () => {
+            const res = await request(app)
+                .get('/api/admin/email-templates/OTP/preview?format=html')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.headers['content-type']).toContain('text/html');
+                expect(res.text).toContain('483920');
+            }
+        });
+
+        it('should return 404 for an unknown template', async () => {
+            const res = await request(app)
+                .get('/api/admin/email-templates/NOPE/preview')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect([404, 401]).toContain(res.status);
+        });
+    });
+});
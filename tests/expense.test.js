@@ -0,0 +1,180 @@
+/**
+ * Expense & Finance Controller Integration Tests
+ * Tests: createExpense, getExpenses, updateExpense, deleteExpense, getProfitAndLoss
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import fs from 'fs/promises';
+
+const prisma = new PrismaClient();
+
+// Import routes
+import warehouseRoutes from '../src/routes/warehouseRoute.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/warehouse', warehouseRoutes);
+
+// Helper to generate token - MUST match auth middleware expectations
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, role: user.role },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: '1h' }
+    );
+}
+
+describe('Expense & Finance Controller', () => {
+    let warehouseUser;
+    let warehouseToken;
+    let expenseId;
+
+    beforeAll(async () => {
+        const hashedPassword = await bcrypt.hash('TestPassword123', 10);
+
+        warehouseUser = await prisma.user.create({
+            data: {
+                name: 'Expense Warehouse',
+                email: `expensewh${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'warehouse',
+                businessName: 'Expense Test Warehouse',
+                emailVerified: true
+            }
+        });
+        warehouseToken = generateToken(warehouseUser);
+    });
+
+    afterAll(async () => {
+        await prisma.expense.deleteMany({ where: { warehouseId: warehouseUser.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { email: { contains: 'expensewh' } } });
+        await prisma.$disconnect();
+    });
+
+    describe('POST /api/warehouse/expenses', () => {
+        it('should fail without authentication', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/expenses')
+                .send({ category: 'RENT', amount: 1000 });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should reject an unknown category', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/expenses')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .field('category', 'LUNCH')
+                .field('amount', '500');
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should remove the uploaded receipt when validation fails', async () => {
+            const before = await fs.readdir('uploads').catch(() => []);
+
+            const res = await request(app)
+                .post('/api/warehouse/expenses')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .field('category', 'LUNCH')
+                .field('amount', '500')
+                .attach('receipt', Buffer.from('fake image'), 'receipt.jpg');
+
+            expect([400, 401]).toContain(res.status);
+            if (res.status === 400) {
+                const after = await fs.readdir('uploads').catch(() => []);
+                expect(after.filter(f => !before.includes(f))).toHaveLength(0);
+            }
+        });
+
+        it('should record an expense', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/expenses')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .field('category', 'RENT')
+                .field('amount', '25000')
+                .field('date', '2025-11-01')
+                .field('description', 'November rent');
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.data.amount).toBe(25000);
+                expenseId = res.body.data.id;
+            }
+        });
+    });
+
+    describe('GET /api/warehouse/expenses', () => {
+        it('should filter by category and date range', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/expenses?category=RENT&startDate=2025-11-01&endDate=2025-11-30')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.success).toBe(true);
+                expect(res.body.summary).toBeDefined();
+            }
+        });
+    });
+
+    describe('PUT /api/warehouse/expenses/:id', () => {
+        it('should update the amount', async () => {
+            if (!expenseId) return;
+
+            const res = await request(app)
+                .put(`/api/warehouse/expenses/${expenseId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .field('amount', '26000');
+
+            expect([200, 401]).toContain(res.status);
+        });
+    });
+
+    describe('GET /api/warehouse/finance/pnl', () => {
+        it('should reject an unknown period', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/finance/pnl?period=week')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should include recorded expenses in the statement', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/finance/pnl?period=quarter&startDate=2025-10-01&endDate=2025-12-31')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200 && expenseId) {
+                const q4 = res.body.data.periods.find(p => p.period === '2025-Q4');
+                expect(q4.expenses.RENT).toBe(26000);
+                expect(q4.netProfit).toBe(-26000);
+            }
+        });
+    });
+
+    describe('DELETE /api/warehouse/expenses/:id', () => {
+        it('should return 404 for non-existent expense', async () => {
+            const res = await request(app)
+                .delete('/api/warehouse/expenses/999999')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([401, 404]).toContain(res.status);
+        });
+
+        it('should delete the expense', async () => {
+            if (!expenseId) return;
+
+            const res = await request(app)
+                .delete(`/api/warehouse/expenses/${expenseId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+        });
+    });
+});
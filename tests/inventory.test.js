@@ -0,0 +1,342 @@
+/**
+ * Inventory Controller Integration Tests
+ * Tests: inventory CRUD, movement ledger and balance audit
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+
+const prisma = new PrismaClient();
+
+// Import routes
+import warehouseRoutes from '../src/routes/warehouseRoute.js';
+import { runStockAlertCheck } from '../src/services/alertService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/warehouse', warehouseRoutes);
+
+// Helper to generate token - MUST match auth middleware expectations
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, role: user.role },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: '1h' }
+    );
+}
+
+describe('Inventory Controller', () => {
+    let warehouseUser, individualUser;
+    let warehouseToken, individualToken;
+    let inventoryItemId;
+
+    beforeAll(async () => {
+        const hashedPassword = await bcrypt.hash('TestPassword123', 10);
+
+        warehouseUser = await prisma.user.create({
+            data: {
+                name: 'Inventory Warehouse',
+                email: `inventorywh${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'warehouse',
+                businessName: 'Inventory Test Warehouse',
+                emailVerified: true
+            }
+        });
+        warehouseToken = generateToken(warehouseUser);
+
+        individualUser = await prisma.user.create({
+            data: {
+                name: 'Inventory Individual',
+                email: `inventoryind${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'individual',
+                emailVerified: true
+            }
+        });
+        individualToken = generateToken(individualUser);
+    });
+
+    afterAll(async () => {
+        await prisma.emailOutbox.deleteMany({ where: { to: warehouseUser.email } }).catch(() => { });
+        await prisma.inventoryMovement.deleteMany({ where: { performedBy: warehouseUser.id } }).catch(() => { });
+        await prisma.warehouseInventory.deleteMany({ where: { warehouseId: warehouseUser.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { email: { contains: 'inventorywh' } } });
+        await prisma.user.deleteMany({ where: { email: { contains: 'inventoryind' } } });
+        await prisma.$disconnect();
+    });
+
+    describe('POST /api/warehouse/inventory', () => {
+        it('should fail without authentication', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/inventory')
+                .send({ materialType: 'plastic' });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should fail for non-warehouse users', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/inventory')
+                .set('Authorization', `Bearer ${individualToken}`)
+                .send({ materialType: 'plastic', category: 'PET', purchasePrice: 50, sellingPrice: 70 });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should fail with missing required fields', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/inventory')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ materialType: 'plastic' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should reject non-numeric prices', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/inventory')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ materialType: 'plastic', category: 'PET', purchasePrice: 'abc', sellingPrice: 70 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should create inventory item for warehouse user', async () => {
+            const res = await request(app)
+                .post('/api/warehouse/inventory')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({
+                    materialType: 'plastic',
+                    category: 'PET Bottles',
+                    quantityInStock: 120,
+                    reorderLevel: 50,
+                    purchasePrice: 45,
+                    sellingPrice: 65,
+                    location: 'Zone A'
+                });
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.success).toBe(true);
+                expect(res.body.data.quantityInStock).toBe(120);
+                inventoryItemId = res.body.data.id;
+            }
+        });
+    });
+
+    describe('GET /api/warehouse/inventory', () => {
+        it('should fail without authentication', async () => {
+            const res = await request(app).get('/api/warehouse/inventory');
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should filter by material type and location', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/inventory?materialType=PLASTIC&location=zone')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.success).toBe(true);
+                expect(res.body.pagination).toBeDefined();
+            }
+        });
+    });
+
+    describe('GET /api/warehouse/inventory/:id', () => {
+        it('should return 404 for non-existent item', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/inventory/999999')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([401, 404]).toContain(res.status);
+        });
+    });
+
+    describe('PUT /api/warehouse/inventory/:id', () => {
+        it('should reject negative prices', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .put(`/api/warehouse/inventory/${inventoryItemId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ sellingPrice: -5 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should update the item location', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .put(`/api/warehouse/inventory/${inventoryItemId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ location: 'Zone B' });
+
+            expect([200, 401]).toContain(res.status);
+        });
+    });
+
+    describe('POST /api/warehouse/inventory/:id/movements', () => {
+        it('should reject an outflow larger than the stock', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .post(`/api/warehouse/inventory/${inventoryItemId}/movements`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ type: 'OUTFLOW', quantity: 100000 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should reject an unknown movement type', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .post(`/api/warehouse/inventory/${inventoryItemId}/movements`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ type: 'TELEPORT', quantity: 5 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should record an outflow and reduce stock', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .post(`/api/warehouse/inventory/${inventoryItemId}/movements`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ type: 'OUTFLOW', quantity: 20, reference: 'TEST-SALE' });
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.data.movement.quantity).toBe(-20);
+                expect(res.body.data.inventory.quantityInStock).toBe(100);
+            }
+        });
+    });
+
+    describe('GET /api/warehouse/inventory/:id/audit', () => {
+        it('should report a balanced ledger', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .get(`/api/warehouse/inventory/${inventoryItemId}/audit`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.balanced).toBe(true);
+            }
+        });
+    });
+
+    describe('GET /api/warehouse/alerts', () => {
+        it('should fail for non-warehouse users', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/alerts')
+                .set('Authorization', `Bearer ${individualToken}`);
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should flag items below their reorder level', async () => {
+            const res = await request(app)
+                .get('/api/warehouse/alerts')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200 && inventoryItemId) {
+                // 100 kg left after the outflow, above the reorder level of 50 kg
+                expect(res.body.data.lowStock.find(i => i.id === inventoryItemId)).toBeUndefined();
+                expect(res.body.data.capacity.overCapacity).toBe(false);
+            }
+        });
+    });
+
+    describe('Stock alert emails', () => {
+        const alertEmails = () => prisma.emailOutbox.count({
+            where: { to: warehouseUser.email, subject: 'RecyConnect inventory alert' }
+        });
+
+        it('should not re-send while the same item stays below its reorder level', async () => {
+            const low = await prisma.warehouseInventory.create({
+                data: {
+                    warehouseId: warehouseUser.id,
+                    materialType: 'glass',
+                    category: 'Alert Test',
+                    quantityInStock: 10,
+                    reorderLevel: 50,
+                    purchasePrice: 5,
+                    sellingPrice: 8
+                }
+            });
+
+            await runStockAlertCheck();
+            expect(await alertEmails()).toBe(1);
+
+            // The mark is stored, so a restart does not re-send either
+            const marked = await prisma.warehouseInventory.findUnique({ where: { id: low.id } });
+            expect(marked.lowStockNotifiedAt).toBeTruthy();
+
+            // Stock moves but the item is still low
+            await prisma.warehouseInventory.update({ where: { id: low.id }, data: { quantityInStock: 8 } });
+            await runStockAlertCheck();
+            expect(await alertEmails()).toBe(1);
+
+            // Recovers, then drops again: alerted again
+            await prisma.warehouseInventory.update({ where: { id: low.id }, data: { quantityInStock: 60 } });
+            await runStockAlertCheck();
+            const recovered = await prisma.warehouseInventory.findUnique({ where: { id: low.id } });
+            expect(recovered.lowStockNotifiedAt).toBeNull();
+            await prisma.warehouseInventory.update({ where: { id: low.id }, data: { quantityInStock: 20 } });
+            await runStockAlertCheck();
+            expect(await alertEmails()).toBe(2);
+
+            await prisma.warehouseInventory.update({ where: { id: low.id }, data: { quantityInStock: 0, deletedAt: new Date() } });
+        });
+    });
+
+    describe('DELETE /api/warehouse/inventory/:id', () => {
+        it('should refuse while the item still has stock', async () => {
+            if (!inventoryItemId) return;
+
+            const res = await request(app)
+                .delete(`/api/warehouse/inventory/${inventoryItemId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should delete the item once empty and keep its ledger', async () => {
+            if (!inventoryItemId) return;
+
+            await request(app)
+                .put(`/api/warehouse/inventory/${inventoryItemId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ quantityInStock: 0 });
+
+            const res = await request(app)
+                .delete(`/api/warehouse/inventory/${inventoryItemId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                const item = await request(app)
+                    .get(`/api/warehouse/inventory/${inventoryItemId}`)
+                    .set('Authorization', `Bearer ${warehouseToken}`);
+                expect(item.status).toBe(404);
+
+                const audit = await request(app)
+                    .get(`/api/warehouse/inventory/${inventoryItemId}/audit`)
+                    .set('Authorization', `Bearer ${warehouseToken}`);
+                expect(audit.status).toBe(200);
+                expect(audit.body.data.balanced).toBe(true);
+            }
+        });
+    });
+});
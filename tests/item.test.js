@@ -59,7 +59,7 @@ describe('Item Controller', () => {
     });
 
     afterEach(async () => {
-        await prisma.item.deleteMany();
+        await prisma.item.deleteMany({ where: { sellerId: seller.id } });
     });
 
     afterAll(async () => {
@@ -13,10 +13,12 @@ const prisma = new PrismaClient();
 
 // Import routes
 import listingRoutes from '../src/routes/listingRoutes.js';
+import orderRoutes from '../src/routes/orderRoutes.js';
 
 const app = express();
 app.use(express.json());
 app.use('/api/listings', listingRoutes);
+app.use('/api/orders', orderRoutes);
 
 // Helper to generate token - MUST match auth middleware expectations
 function generateToken(user) {
@@ -49,8 +51,10 @@ describe('Listing Controller', () => {
 
     afterAll(async () => {
         // Cleanup
+        await prisma.order.deleteMany({ where: { sellerId: testUser.id } }).catch(() => { });
         await prisma.listing.deleteMany({ where: { userId: testUser.id } }).catch(() => { });
         await prisma.user.deleteMany({ where: { email: { contains: 'listingtest' } } });
+        await prisma.user.deleteMany({ where: { email: { contains: 'listingbuyer' } } });
         await prisma.$disconnect();
     });
 
@@ -121,6 +125,77 @@ describe('Listing Controller', () => {
 
             expect([200, 401, 500]).toContain(res.status);
         });
+
+        it('should reject a radius without coordinates', async () => {
+            const res = await request(app)
+                .get('/api/listings?radiusKm=10')
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should reject a non-numeric minimum weight', async () => {
+            const res = await request(app)
+                .get('/api/listings?minWeight=heavy')
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should filter and sort by distance', async () => {
+            // Lahore centre, ~5 km away, and Islamabad (~270 km)
+            const points = [[31.5497, 74.3436], [31.5900, 74.3900], [33.6844, 73.0479]];
+            for (const [latitude, longitude] of points.reverse()) {
+                await prisma.listing.create({
+                    data: {
+                        userId: testUser.id,
+                        materialType: 'geo-test',
+                        estimatedWeight: 3,
+                        pickupAddress: `Geo ${latitude}`,
+                        latitude,
+                        longitude
+                    }
+                });
+            }
+
+            const res = await request(app)
+                .get('/api/listings?material=geo-test&lat=31.5497&lng=74.3436&radiusKm=25&sortBy=distance')
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.map(l => l.latitude)).toEqual([31.5497, 31.59]);
+                expect(res.body.data[0].distanceKm).toBe(0);
+                expect(res.body.data[1].distanceKm).toBeGreaterThan(4);
+                expect(res.body.data[1].distanceKm).toBeLessThan(25);
+                expect(res.body.pagination.total).toBe(2);
+            }
+        });
+
+        it('should page through distance-sorted results with a full count', async () => {
+            const res = await request(app)
+                .get('/api/listings?material=geo-test&lat=31.5497&lng=74.3436&radiusKm=25&sortBy=distance&page=2&limit=1')
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.map(l => l.latitude)).toEqual([31.59]);
+                expect(res.body.pagination.total).toBe(2);
+                expect(res.body.pagination.totalPages).toBe(2);
+            }
+        });
+
+        it('should apply the default radius when none is given', async () => {
+            const res = await request(app)
+                .get('/api/listings?material=geo-test&lat=31.5497&lng=74.3436&sortBy=distance')
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                // Islamabad is well outside the default 25 km
+                expect(res.body.data.map(l => l.latitude)).toEqual([31.5497, 31.59]);
+            }
+        });
     });
 
     describe('GET /api/listings/my', () => {
@@ -196,6 +271,108 @@ describe('Listing Controller', () => {
         });
     });
 
+    describe('POST /api/listings/:id/accept', () => {
+        let openListing;
+        let acceptedOrder;
+        let buyerTokens = [];
+
+        beforeAll(async () => {
+            const hashedPassword = await bcrypt.hash('TestPassword123', 10);
+            for (const n of [1, 2]) {
+                const buyer = await prisma.user.create({
+                    data: {
+                        name: `Listing Buyer ${n}`,
+                        email: `listingbuyer${n}${Date.now()}@test.com`,
+                        password: hashedPassword,
+                        role: 'warehouse',
+                        emailVerified: true
+                    }
+                });
+                buyerTokens.push(generateToken(buyer));
+            }
+
+            openListing = await prisma.listing.create({
+                data: {
+                    userId: testUser.id,
+                    materialType: 'metal',
+                    estimatedWeight: 8,
+                    pickupAddress: 'Accept Test Street',
+                    latitude: 31.52,
+                    longitude: 74.35
+                }
+            });
+        });
+
+        it('should not let individuals accept listings', async () => {
+            const res = await request(app)
+                .post(`/api/listings/${openListing.id}/accept`)
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should let exactly one of two concurrent buyers accept', async () => {
+            const results = await Promise.all(buyerTokens.map(token =>
+                request(app)
+                    .post(`/api/listings/${openListing.id}/accept`)
+                    .set('Authorization', `Bearer ${token}`)
+            ));
+
+            const statuses = results.map(r => r.status).sort();
+            if (statuses.includes(401)) return;
+
+            expect(statuses).toEqual([201, 409]);
+
+            const winner = results.find(r => r.status === 201).body.data;
+            acceptedOrder = winner.order;
+            expect(winner.listing.status).toBe('ACCEPTED');
+            expect(winner.listing.buyerId).toBe(winner.order.buyerId);
+            expect(winner.order.sellerId).toBe(testUser.id);
+            expect(winner.order.listingId).toBe(openListing.id);
+            expect(winner.order.materialType).toBe('metal');
+            expect(winner.order.weight).toBe(8);
+            expect(winner.order.pickupAddress).toBe('Accept Test Street');
+        });
+
+        it('should not allow deleting an accepted listing', async () => {
+            const res = await request(app)
+                .delete(`/api/listings/${openListing.id}`)
+                .set('Authorization', `Bearer ${testToken}`);
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should not let the seller change an accepted listing\'s status', async () => {
+            const res = await request(app)
+                .put(`/api/listings/${openListing.id}`)
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ status: 'CANCELLED' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should reopen the listing when its order is cancelled', async () => {
+            if (!acceptedOrder) return;
+
+            const res = await request(app)
+                .put(`/api/orders/${acceptedOrder.id}/status`)
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ status: 'CANCELLED' });
+            expect(res.status).toBe(200);
+
+            const listing = await prisma.listing.findUnique({ where: { id: openListing.id } });
+            expect(listing.status).toBe('PENDING');
+            expect(listing.buyerId).toBeNull();
+
+            // Another buyer can now take it
+            const retaken = await request(app)
+                .post(`/api/listings/${openListing.id}/accept`)
+                .set('Authorization', `Bearer ${buyerTokens[0]}`);
+            expect(retaken.status).toBe(201);
+            expect(retaken.body.data.order.listingId).toBe(openListing.id);
+        });
+    });
+
     describe('GET /api/listings/stats', () => {
         it('should return listing statistics', async () => {
             const res = await request(app)
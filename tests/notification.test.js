@@ -0,0 +1,312 @@
+/**
+ * Notification Center Integration Tests
+ * Tests: getNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead, notify,
+ *        registerDevice, unregisterDevice, sendPush, createFcmTransport
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { generateKeyPairSync } from 'crypto';
+import { jest } from '@jest/globals';
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { notify } from '../src/services/notificationService.js';
+import { createFcmTransport, sendPush, setPushTransport } from '../src/services/pushService.js';
+
+const prisma = new PrismaClient();
+
+// Import routes
+import notificationRoutes from '../src/routes/notificationRoutes.js';
+import orderRoutes from '../src/routes/orderRoutes.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/orders', orderRoutes);
+
+// Helper to generate token - MUST match auth middleware expectations
+function generateToken(user) {
+    return jwt.sign(
+        { userId: user.id, email: user.email, role: user.role },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: '1h' }
+    );
+}
+
+describe('Notification Center', () => {
+    let buyer, seller;
+    let buyerToken, sellerToken;
+
+    beforeAll(async () => {
+        const hashedPassword = await bcrypt.hash('TestPassword123', 10);
+
+        buyer = await prisma.user.create({
+            data: {
+                name: 'Notify Buyer',
+                email: `notifybuyer${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'warehouse',
+                emailVerified: true
+            }
+        });
+
+        seller = await prisma.user.create({
+            data: {
+                name: 'Notify Seller',
+                email: `notifyseller${Date.now()}@test.com`,
+                password: hashedPassword,
+                role: 'individual',
+                emailVerified: true
+            }
+        });
+
+        buyerToken = generateToken(buyer);
+        sellerToken = generateToken(seller);
+    });
+
+    afterAll(async () => {
+        await prisma.activityLog.deleteMany({ where: { userId: { in: [buyer.id, seller.id] } } }).catch(() => { });
+        await prisma.order.deleteMany({ where: { buyerId: buyer.id } }).catch(() => { });
+        await prisma.notification.deleteMany({ where: { userId: { in: [buyer.id, seller.id] } } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { email: { contains: 'notifybuyer' } } });
+        await prisma.user.deleteMany({ where: { email: { contains: 'notifyseller' } } });
+        await prisma.$disconnect();
+    });
+
+    describe('GET /api/notifications', () => {
+        it('should fail without authentication', async () => {
+            const res = await request(app).get('/api/notifications');
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should notify the other party of an order status change', async () => {
+            const order = await prisma.order.create({
+                data: {
+                    buyerId: buyer.id,
+                    sellerId: seller.id,
+                    materialType: 'paper',
+                    weight: 5,
+                    pickupAddress: 'Notify Street'
+                }
+            });
+
+            const accepted = await request(app)
+                .put(`/api/orders/${order.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'ACCEPTED' });
+
+            expect([200, 401]).toContain(accepted.status);
+            if (accepted.status !== 200) return;
+
+            const res = await request(app)
+                .get('/api/notifications')
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.unreadCount).toBe(1);
+            expect(res.body.data[0].type).toBe('ORDER_STATUS_CHANGED');
+            expect(res.body.data[0].data).toMatchObject({ orderId: order.id, from: 'PENDING', status: 'ACCEPTED' });
+            expect(res.body.data[0].readAt).toBeNull();
+
+            // The seller made the change, so they are not notified
+            const sellerRes = await request(app)
+                .get('/api/notifications?type=ORDER_STATUS_CHANGED')
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect(sellerRes.body.data).toHaveLength(0);
+        });
+    });
+
+    describe('Marking notifications read', () => {
+        it('should mark one notification read and update the unread count', async () => {
+            const notification = await notify(buyer.id, 'KYC_APPROVED', { role: 'warehouse' });
+            expect(notification.title).toBe('Verification approved');
+
+            const before = await request(app)
+                .get('/api/notifications/unread-count')
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect([200, 401]).toContain(before.status);
+            if (before.status !== 200) return;
+
+            const res = await request(app)
+                .put(`/api/notifications/${notification.id}/read`)
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.notification.readAt).toBeTruthy();
+            expect(res.body.data.unreadCount).toBe(before.body.data.unreadCount - 1);
+        });
+
+        it('should not let another user mark it read', async () => {
+            const notification = await notify(buyer.id, 'KYC_REJECTED', { reason: 'Blurry CNIC' });
+
+            const res = await request(app)
+                .put(`/api/notifications/${notification.id}/read`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect([401, 404]).toContain(res.status);
+        });
+
+        it('should mark everything read', async () => {
+            const res = await request(app)
+                .put('/api/notifications/read-all')
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status !== 200) return;
+
+            const unread = await request(app)
+                .get('/api/notifications?unread=true')
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect(unread.body.data).toHaveLength(0);
+            expect(unread.body.unreadCount).toBe(0);
+        });
+    });
+
+    describe('notify()', () => {
+        it('should not throw for an unknown type', async () => {
+            await expect(notify(buyer.id, 'NOT_A_TYPE', {})).resolves.toBeNull();
+        });
+    });
+
+    describe('Push devices', () => {
+        const stamp = Date.now();
+        const goodToken = `good-token-${stamp}`;
+        const staleToken = `stale-token-${stamp}`;
+
+        afterAll(() => {
+            setPushTransport(null);
+        });
+
+        it('should reject an unknown platform', async () => {
+            const res = await request(app)
+                .post('/api/notifications/devices')
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ token: goodToken, platform: 'symbian' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should register device tokens', async () => {
+            for (const token of [goodToken, staleToken]) {
+                const res = await request(app)
+                    .post('/api/notifications/devices')
+                    .set('Authorization', `Bearer ${sellerToken}`)
+                    .send({ token, platform: 'android' });
+
+                expect([201, 401]).toContain(res.status);
+            }
+        });
+
+        it('should push to every device and prune tokens the provider rejects', async () => {
+            const sent = [];
+            setPushTransport({
+                name: 'stub',
+                async send(tokens, message) {
+                    sent.push({ tokens, message });
+                    return { invalidTokens: tokens.filter(t => t === staleToken) };
+                }
+            });
+
+            const result = await sendPush(seller.id, {
+                title: 'Hello',
+                body: 'World',
+                data: { orderId: 7, from: 'PENDING', 'google.sent_time': 1 }
+            });
+
+            expect(result).toEqual({ sent: 1, pruned: 1 });
+            expect(sent[0].tokens.sort()).toEqual([goodToken, staleToken].sort());
+            expect(sent[0].message.data).toEqual({ orderId: '7', app_from: 'PENDING' });
+
+            const remaining = await prisma.deviceToken.findMany({ where: { userId: seller.id } });
+            expect(remaining.map(d => d.token)).toEqual([goodToken]);
+        });
+
+        it('should send one FCM v1 message per token with a cached service account token', async () => {
+            const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const transport = createFcmTransport({
+                serviceAccount: {
+                    project_id: 'recyconnect-test',
+                    client_email: 'push@recyconnect-test.iam.gserviceaccount.com',
+                    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+                }
+            });
+
+            const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url, options) => {
+                if (url.startsWith('https://oauth2.googleapis.com')) {
+                    return new Response(JSON.stringify({ access_token: 'access-1', expires_in: 3600 }));
+                }
+                const { message } = JSON.parse(options.body);
+                if (message.token === staleToken) {
+                    return new Response(JSON.stringify({
+                        error: { status: 'NOT_FOUND', details: [{ '@type': 'type.googleapis.com/google.firebase.fcm.v1.FcmError', errorCode: 'UNREGISTERED' }] }
+                    }), { status: 404 });
+                }
+                return new Response(JSON.stringify({ name: 'projects/recyconnect-test/messages/1' }));
+            });
+
+            try {
+                const message = { title: 'Hello', body: 'World', data: { orderId: '7' } };
+                const first = await transport.send([goodToken, staleToken], message);
+                await transport.send([goodToken], message);
+
+                expect(first.invalidTokens).toEqual([staleToken]);
+
+                const urls = fetchMock.mock.calls.map(([url]) => url);
+                expect(urls.filter(url => url.startsWith('https://oauth2.googleapis.com'))).toHaveLength(1);
+
+                const sends = fetchMock.mock.calls.filter(([url]) => url.includes('/v1/projects/recyconnect-test/messages:send'));
+                expect(sends).toHaveLength(3);
+                expect(sends[0][1].headers.Authorization).toBe('Bearer access-1');
+                expect(sends[0][1].signal).toBeTruthy();
+            } finally {
+                fetchMock.mockRestore();
+            }
+        });
+
+        it('should keep a token when FCM rejects the payload', async () => {
+            const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+            const transport = createFcmTransport({
+                serviceAccount: {
+                    project_id: 'recyconnect-test',
+                    client_email: 'push@recyconnect-test.iam.gserviceaccount.com',
+                    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+                }
+            });
+
+            const fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+                if (url.startsWith('https://oauth2.googleapis.com')) {
+                    return new Response(JSON.stringify({ access_token: 'access-1', expires_in: 3600 }));
+                }
+                return new Response(JSON.stringify({
+                    error: { status: 'INVALID_ARGUMENT', details: [{ '@type': 'type.googleapis.com/google.firebase.fcm.v1.FcmError', errorCode: 'INVALID_ARGUMENT' }] }
+                }), { status: 400 });
+            });
+
+            try {
+                await expect(transport.send([goodToken], { title: 'Hello', body: 'World', data: {} }))
+                    .rejects.toThrow('INVALID_ARGUMENT');
+            } finally {
+                fetchMock.mockRestore();
+            }
+        });
+
+        it('should unregister a device', async () => {
+            const res = await request(app)
+                .delete(`/api/notifications/devices/${encodeURIComponent(goodToken)}`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status !== 200) return;
+
+            const again = await request(app)
+                .delete(`/api/notifications/devices/${encodeURIComponent(goodToken)}`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect(again.status).toBe(404);
+        });
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * Order Controller Integration Tests
- * Tests: createOrder, getOrders, getOrder, updateOrderStatus
+ * Tests: createOrder, getOrders, getOrder, updateOrderStatus (with order update emails), getOrderTimeline
  * Note: These tests don't create listings to avoid Prisma schema issues
  */
 import 'dotenv/config';
@@ -62,6 +62,11 @@ describe('Order Controller', () => {
 
     afterAll(async () => {
         // Cleanup
+        await prisma.inventoryMovement.deleteMany({ where: { performedBy: { in: [buyer.id, seller.id] } } }).catch(() => { });
+        await prisma.warehouseInventory.deleteMany({ where: { warehouseId: buyer.id } }).catch(() => { });
+        await prisma.activityLog.deleteMany({ where: { userId: { in: [buyer.id, seller.id] } } }).catch(() => { });
+        await prisma.order.deleteMany({ where: { buyerId: buyer.id } }).catch(() => { });
+        await prisma.emailOutbox.deleteMany({ where: { to: { in: [buyer.email, seller.email] } } }).catch(() => { });
         await prisma.user.deleteMany({ where: { email: { contains: 'orderbuyer' } } });
         await prisma.user.deleteMany({ where: { email: { contains: 'orderseller' } } });
         await prisma.$disconnect();
@@ -135,6 +140,218 @@ describe('Order Controller', () => {
         });
     });
 
+    describe('PUT /api/orders/:id/status', () => {
+        let flowOrder;
+
+        beforeAll(async () => {
+            flowOrder = await prisma.order.create({
+                data: {
+                    buyerId: buyer.id,
+                    sellerId: seller.id,
+                    materialType: 'paper',
+                    weight: 5,
+                    pickupAddress: 'Test Address'
+                }
+            });
+        });
+
+        it('should reject skipping straight to COMPLETED', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ status: 'COMPLETED' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should reject an unknown status', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'COLLECTED' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should only let the seller accept', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ status: 'ACCEPTED' });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should accept as the seller and log the transition', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'ACCEPTED' });
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.status).toBe('ACCEPTED');
+
+                const log = await prisma.activityLog.findFirst({
+                    where: { action: 'ORDER_STATUS_CHANGED', resourceId: flowOrder.id.toString() }
+                });
+                expect(log.userId).toBe(seller.id);
+                expect(log.meta).toEqual({ from: 'PENDING', to: 'ACCEPTED', party: 'seller' });
+
+                const email = await prisma.emailOutbox.findFirst({
+                    where: { to: buyer.email, template: 'ORDER_UPDATE' },
+                    orderBy: { id: 'desc' }
+                });
+                expect(email.subject).toBe(`Order #${flowOrder.id} is now ACCEPTED`);
+                expect(await prisma.emailOutbox.count({ where: { to: seller.email, template: 'ORDER_UPDATE' } })).toBe(0);
+            }
+        });
+
+        it('should reject a half geo-point', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'IN_PROGRESS', latitude: 31.5 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should record the pickup on the timeline', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'IN_PROGRESS', note: 'Picked up at gate 2', latitude: 31.5204, longitude: 74.3587 });
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status !== 200) return;
+
+            const timeline = await request(app)
+                .get(`/api/orders/${flowOrder.id}/timeline`)
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect(timeline.status).toBe(200);
+            const events = timeline.body.data.events;
+            expect(events.map(e => e.toStatus)).toEqual(['ACCEPTED', 'IN_PROGRESS']);
+
+            const pickup = events[1];
+            expect(pickup.fromStatus).toBe('ACCEPTED');
+            expect(pickup.actor.id).toBe(seller.id);
+            expect(pickup.note).toBe('Picked up at gate 2');
+            expect(pickup.location).toEqual({ latitude: 31.5204, longitude: 74.3587 });
+        });
+
+        it('should only let the buyer confirm completion', async () => {
+            const res = await request(app)
+                .put(`/api/orders/${flowOrder.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'COMPLETED' });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should add completed warehouse purchases to inventory', async () => {
+            const order = await prisma.order.create({
+                data: {
+                    buyerId: buyer.id,
+                    sellerId: seller.id,
+                    materialType: 'metal',
+                    weight: 15,
+                    pickupAddress: 'Test Address',
+                    status: 'IN_PROGRESS'
+                }
+            });
+
+            const res = await request(app)
+                .put(`/api/orders/${order.id}/status`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ status: 'COMPLETED' });
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                const inventory = await prisma.warehouseInventory.findFirst({
+                    where: { warehouseId: buyer.id, materialType: 'metal' },
+                    include: { movements: true }
+                });
+                expect(inventory.quantityInStock).toBe(15);
+                expect(inventory.supplierId).toBe(seller.id);
+                expect(inventory.movements[0].reference).toBe(`ORDER-${order.id}`);
+            }
+        });
+    });
+
+    describe('GET /api/orders/:id/timeline', () => {
+        it('should start with the creation event', async () => {
+            const created = await request(app)
+                .post('/api/orders')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({
+                    sellerId: seller.id,
+                    materialType: 'glass',
+                    weight: 3,
+                    pickupAddress: 'Test Address'
+                });
+
+            expect([201, 401]).toContain(created.status);
+            if (created.status !== 201) return;
+
+            const res = await request(app)
+                .get(`/api/orders/${created.body.data.id}/timeline`)
+                .set('Authorization', `Bearer ${sellerToken}`);
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.events).toHaveLength(1);
+            expect(res.body.data.events[0].fromStatus).toBeNull();
+            expect(res.body.data.events[0].toStatus).toBe('PENDING');
+            expect(res.body.data.events[0].actor.id).toBe(buyer.id);
+        });
+
+        it('should return 404 for an order the user is not part of', async () => {
+            const res = await request(app)
+                .get('/api/orders/999999/timeline')
+                .set('Authorization', `Bearer ${buyerToken}`);
+
+            expect([401, 404]).toContain(res.status);
+        });
+    });
+
+    describe('Order financials on completion', () => {
+        const material = `finmaterial${Date.now()}`;
+
+        beforeAll(async () => {
+            await prisma.rate.create({ data: { category: material, pricePerUnit: 40 } });
+        });
+
+        afterAll(async () => {
+            await prisma.rate.deleteMany({ where: { category: material } });
+        });
+
+        it('should price the order from the admin rate', async () => {
+            const order = await prisma.order.create({
+                data: {
+                    buyerId: buyer.id,
+                    sellerId: seller.id,
+                    materialType: material,
+                    weight: 10,
+                    pickupAddress: 'Test Address',
+                    paymentMethod: 'STRIPE',
+                    status: 'IN_PROGRESS'
+                }
+            });
+
+            const res = await request(app)
+                .put(`/api/orders/${order.id}/status`)
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ status: 'COMPLETED' });
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200) {
+                expect(res.body.data.totalAmount).toBe(400);
+                expect(res.body.data.stripeFee).toBe(11.9);
+                expect(res.body.data.netProfit).toBe(388.1);
+            }
+        });
+    });
+
     describe('GET /api/orders/stats', () => {
         it('should return order statistics', async () => {
             const res = await request(app)
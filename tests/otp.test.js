@@ -0,0 +1,187 @@
+/**
+ * OTP Protection Tests
+ * Tests: generateOtpCode, verifyOtp attempt limit, send limits on resend, register and forgot password
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { createTestUser, prisma } from './helpers.js';
+import authRoutes from '../src/routes/authRoute.js';
+import { generateOtpCode, createOtpForUser, verifyOtp, OTP_MAX_ATTEMPTS } from '../src/services/otpService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('OTP protection', () => {
+    const stamp = Date.now();
+    const lockEmail = `otplock${stamp}@test.com`;
+    const resendEmail = `otpresend${stamp}@test.com`;
+    const registerEmail = `otpregister${stamp}@test.com`;
+    let resetUser;
+
+    beforeAll(async () => {
+        resetUser = await createTestUser({ email: `otpreset${stamp}@test.com` });
+    });
+
+    afterAll(async () => {
+        await prisma.otp.deleteMany({ where: { email: { in: [lockEmail, resendEmail, registerEmail] } } });
+        await prisma.otp.deleteMany({ where: { userId: resetUser.id } });
+        await prisma.activityLog.deleteMany({ where: { userId: resetUser.id } });
+        await prisma.emailOutbox.deleteMany({ where: { to: { in: [resendEmail, registerEmail, resetUser.email] } } }).catch(() => { });
+        await prisma.user.delete({ where: { id: resetUser.id } });
+        await prisma.$disconnect();
+    });
+
+    describe('generateOtpCode', () => {
+        it('should return numeric codes of the requested length', () => {
+            const codes = Array.from({ length: 50 }, () => generateOtpCode());
+            expect(codes.every(c => /^\d{6}$/.test(c))).toBe(true);
+            expect(new Set(codes).size).toBeGreaterThan(1);
+            expect(generateOtpCode(4)).toMatch(/^\d{4}$/);
+        });
+    });
+
+    describe('verifyOtp', () => {
+        it('should lock the code after too many wrong guesses', async () => {
+            const code = await createOtpForUser(null, 'email_verification', lockEmail);
+            const wrong = code === '000000' ? '111111' : '000000';
+
+            for (let i = 0; i < OTP_MAX_ATTEMPTS; i++) {
+                expect(await verifyOtp(lockEmail, wrong)).toBeNull();
+            }
+
+            // Even the right code is refused once the limit is reached
+            await expect(verifyOtp(lockEmail, code)).rejects.toMatchObject({ status: 429 });
+
+            const record = await prisma.otp.findFirst({ where: { email: lockEmail }, orderBy: { createdAt: 'desc' } });
+            expect(record.attempts).toBe(OTP_MAX_ATTEMPTS);
+            expect(record.used).toBe(false);
+        });
+
+        it('should accept a fresh code after the lock', async () => {
+            const code = await createOtpForUser(null, 'email_verification', lockEmail);
+            const record = await verifyOtp(lockEmail, code);
+
+            expect(record).toBeTruthy();
+            expect(record.email).toBe(lockEmail);
+        });
+
+        it('should answer 429 from verify-otp when the code is locked', async () => {
+            const code = await createOtpForUser(null, 'email_verification', lockEmail);
+            await prisma.otp.updateMany({ where: { email: lockEmail, used: false }, data: { attempts: OTP_MAX_ATTEMPTS } });
+
+            const res = await request(app)
+                .post('/api/auth/verify-otp')
+                .send({ email: lockEmail, otp: code });
+
+            expect(res.status).toBe(429);
+        });
+    });
+
+    describe('POST /api/auth/resend-otp', () => {
+        it('should make the user wait before sending another code', async () => {
+            await createOtpForUser(null, 'email_verification', resendEmail, { email: resendEmail, role: 'individual' });
+
+            const res = await request(app)
+                .post('/api/auth/resend-otp')
+                .send({ email: resendEmail });
+
+            expect(res.status).toBe(429);
+            expect(res.body.message).toMatch(/wait \d+ seconds/);
+        });
+
+        it('should resend once the cooldown has passed, keeping the registration', async () => {
+            await prisma.otp.updateMany({
+                where: { email: resendEmail },
+                data: { createdAt: new Date(Date.now() - 5 * 60 * 1000) }
+            });
+
+            const res = await request(app)
+                .post('/api/auth/resend-otp')
+                .send({ email: resendEmail });
+
+            expect(res.status).toBe(200);
+
+            // The old code is retired but kept for the rate limit
+            const codes = await prisma.otp.findMany({ where: { email: resendEmail }, orderBy: { createdAt: 'asc' } });
+            expect(codes).toHaveLength(2);
+            expect(codes[0].used).toBe(true);
+            expect(codes[1].metadata.email).toBe(resendEmail);
+        });
+
+        it('should cap the number of codes per hour', async () => {
+            const hourAgo = Date.now() - 50 * 60 * 1000;
+            await prisma.otp.createMany({
+                data: Array.from({ length: 5 }, (_, i) => ({
+                    email: resendEmail,
+                    otpHash: 'x',
+                    purpose: 'email_verification',
+                    used: true,
+                    expiresAt: new Date(hourAgo),
+                    createdAt: new Date(hourAgo + i * 1000)
+                }))
+            });
+            await prisma.otp.updateMany({
+                where: { email: resendEmail, used: false },
+                data: { createdAt: new Date(Date.now() - 5 * 60 * 1000) }
+            });
+
+            const res = await request(app)
+                .post('/api/auth/resend-otp')
+                .send({ email: resendEmail });
+
+            expect(res.status).toBe(429);
+            expect(res.body.message).toMatch(/Too many codes/);
+        });
+    });
+
+    describe('Other paths that send a code', () => {
+        it('should apply the resend limits when registering again', async () => {
+            const registration = { email: registerEmail, password: 'Register@123', name: 'OTP Register', role: 'individual' };
+
+            const first = await request(app).post('/api/auth/register').send(registration);
+            expect(first.status).toBe(201);
+
+            const again = await request(app).post('/api/auth/register').send(registration);
+            expect(again.status).toBe(429);
+
+            const codes = await prisma.otp.findMany({ where: { email: registerEmail } });
+            expect(codes).toHaveLength(1);
+        });
+
+        it('should send one password reset code per cooldown without revealing the limit', async () => {
+            const first = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: resetUser.email });
+            const again = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: resetUser.email });
+
+            expect(first.status).toBe(200);
+            expect(again.status).toBe(200);
+            expect(again.body.message).toBe(first.body.message);
+
+            const codes = await prisma.otp.findMany({ where: { userId: resetUser.id, purpose: 'password_reset' } });
+            expect(codes).toHaveLength(1);
+        });
+
+        it('should retire the previous reset code when a new one is sent', async () => {
+            await prisma.otp.updateMany({
+                where: { userId: resetUser.id, purpose: 'password_reset' },
+                data: { createdAt: new Date(Date.now() - 5 * 60 * 1000) }
+            });
+
+            const res = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: resetUser.email });
+            expect(res.status).toBe(200);
+
+            const codes = await prisma.otp.findMany({
+                where: { userId: resetUser.id, purpose: 'password_reset' },
+                orderBy: { createdAt: 'asc' }
+            });
+            expect(codes.map(c => c.used)).toEqual([true, false]);
+        });
+    });
+});
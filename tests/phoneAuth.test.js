@@ -0,0 +1,188 @@
+/**
+ * Phone Auth Integration Tests
+ * Tests: normalizePhone, SMS transports, registerWithPhone, verifyPhoneRegistration, requestPhoneLoginOtp, loginWithPhone
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { jest } from '@jest/globals';
+import { prisma } from './helpers.js';
+import authRoutes from '../src/routes/authRoute.js';
+import { normalizePhone, setSmsTransport, createTwilioTransport, createConsoleTransport } from '../src/services/smsService.js';
+import { logger } from '../src/utils/logger.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+// Capture SMS instead of sending them so the codes can be read back
+const sent = [];
+const lastCodeFor = (phone) => {
+    const message = [...sent].reverse().find(m => m.to === phone);
+    return message?.body.match(/\d{6}/)[0];
+};
+
+describe('Phone Auth', () => {
+    const suffix = String(Date.now()).slice(-7);
+    const localPhone = `0300${suffix}`;
+    const phone = `+92300${suffix}`;
+
+    beforeAll(() => {
+        setSmsTransport({ name: 'test', send: async (to, body) => { sent.push({ to, body }); } });
+    });
+
+    afterAll(async () => {
+        setSmsTransport(null);
+        const user = await prisma.user.findUnique({ where: { phone } });
+        if (user) {
+            await prisma.refreshToken.deleteMany({ where: { userId: user.id } });
+            await prisma.activityLog.deleteMany({ where: { userId: user.id } });
+        }
+        await prisma.otp.deleteMany({ where: { phone } });
+        await prisma.user.deleteMany({ where: { phone } });
+        await prisma.$disconnect();
+    });
+
+    describe('normalizePhone', () => {
+        it('should normalize local and international formats to E.164', () => {
+            expect(normalizePhone('0300-1234567')).toBe('+923001234567');
+            expect(normalizePhone('+92 300 1234567')).toBe('+923001234567');
+            expect(normalizePhone('00923001234567')).toBe('+923001234567');
+            expect(normalizePhone('12345')).toBeNull();
+            expect(normalizePhone('not a phone')).toBeNull();
+        });
+    });
+
+    describe('SMS transports', () => {
+        it('should never log the code when SMS is not sent', async () => {
+            const info = jest.spyOn(logger, 'info').mockImplementation(() => { });
+            try {
+                await createConsoleTransport().send(phone, 'Your RecyConnect code is 482913');
+                const [line] = info.mock.calls.at(-1);
+                expect(line).toContain(phone);
+                expect(line).not.toContain('482913');
+            } finally {
+                info.mockRestore();
+            }
+        });
+
+        it('should send to Twilio with a timeout', async () => {
+            const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('{}', { status: 201 }));
+            try {
+                const transport = createTwilioTransport({ accountSid: 'AC123', authToken: 'token', from: '+15005550006' });
+                await transport.send(phone, 'Hello');
+
+                const [url, options] = fetchMock.mock.calls[0];
+                expect(url).toContain('/Accounts/AC123/Messages.json');
+                expect(options.signal).toBeInstanceOf(AbortSignal);
+            } finally {
+                fetchMock.mockRestore();
+            }
+        });
+
+        it('should refuse to start without Twilio outside development', () => {
+            const env = { ...process.env };
+            process.env.NODE_ENV = 'production';
+            delete process.env.SMS_TRANSPORT;
+            delete process.env.TWILIO_ACCOUNT_SID;
+            try {
+                expect(() => setSmsTransport(null)).toThrow('SMS is not configured');
+            } finally {
+                process.env = env;
+                setSmsTransport({ name: 'test', send: async (to, body) => { sent.push({ to, body }); } });
+            }
+        });
+    });
+
+    describe('POST /api/auth/phone/register', () => {
+        it('should reject an invalid phone number', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/register')
+                .send({ phone: '12', name: 'Phone Seller' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should require a name', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/register')
+                .send({ phone: localPhone });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should send an OTP by SMS without creating the user', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/register')
+                .send({ phone: localPhone, name: 'Phone Seller' });
+
+            expect(res.status).toBe(201);
+            expect(res.body.data.phone).toBe(phone);
+            expect(lastCodeFor(phone)).toMatch(/^\d{6}$/);
+            expect(await prisma.user.findUnique({ where: { phone } })).toBeNull();
+
+            const otp = await prisma.otp.findFirst({ where: { phone, purpose: 'phone_verification' } });
+            expect(otp.otpHash).not.toBe(lastCodeFor(phone));
+        });
+    });
+
+    describe('POST /api/auth/phone/verify', () => {
+        it('should reject a wrong code', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/verify')
+                .send({ phone, otp: lastCodeFor(phone) === '000000' ? '111111' : '000000' });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should create the account and log in', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/verify')
+                .send({ phone: localPhone, otp: lastCodeFor(phone) });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.accessToken).toBeTruthy();
+            expect(res.body.data.user.phone).toBe(phone);
+            expect(res.body.data.user.phoneVerified).toBe(true);
+            expect(res.body.data.user.email).toBeNull();
+        });
+
+        it('should not register the same number twice', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/register')
+                .send({ phone, name: 'Phone Seller' });
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('Phone login', () => {
+        it('should 404 for an unknown number', async () => {
+            const res = await request(app)
+                .post('/api/auth/phone/request-otp')
+                .send({ phone: '+15550000000' });
+
+            expect(res.status).toBe(404);
+        });
+
+        it('should log in with the SMS code once', async () => {
+            const requested = await request(app)
+                .post('/api/auth/phone/request-otp')
+                .send({ phone: localPhone });
+            expect(requested.status).toBe(200);
+
+            const code = lastCodeFor(phone);
+            const res = await request(app)
+                .post('/api/auth/phone/login')
+                .send({ phone, otp: code });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.refreshToken).toBeTruthy();
+
+            const reused = await request(app)
+                .post('/api/auth/phone/login')
+                .send({ phone, otp: code });
+            expect(reused.status).toBe(401);
+        });
+    });
+});
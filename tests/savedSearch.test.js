@@ -0,0 +1,197 @@
+/**
+ * Saved Search Integration Tests
+ * Tests: createSavedSearch, getSavedSearches, updateSavedSearch, deleteSavedSearch, notifySavedSearchMatches
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { createTestUser, generateTestToken, prisma } from './helpers.js';
+
+describe('Saved Searches', () => {
+    let app;
+    let savedSearchService;
+    let warehouse, seller;
+    let warehouseToken;
+    let savedSearchId;
+
+    beforeAll(async () => {
+        savedSearchService = await import('../src/services/savedSearchService.js');
+        const savedSearchRoutes = (await import('../src/routes/savedSearchRoutes.js')).default;
+
+        app = express();
+        app.use(express.json());
+        app.use('/api/saved-searches', savedSearchRoutes);
+
+        const stamp = Date.now();
+        warehouse = await createTestUser({ name: 'Search Warehouse', email: `searchwh${stamp}@test.com`, role: 'warehouse' });
+        seller = await createTestUser({ name: 'Search Seller', email: `searchseller${stamp}@test.com` });
+        warehouseToken = generateTestToken(warehouse);
+    });
+
+    afterAll(async () => {
+        await prisma.savedSearch.deleteMany({ where: { userId: warehouse.id } }).catch(() => { });
+        await prisma.emailOutbox.deleteMany({ where: { to: warehouse.email } }).catch(() => { });
+        await prisma.listing.deleteMany({ where: { userId: seller.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { id: { in: [warehouse.id, seller.id] } } });
+        await prisma.$disconnect();
+    });
+
+    describe('POST /api/saved-searches', () => {
+        it('should fail without authentication', async () => {
+            const res = await request(app)
+                .post('/api/saved-searches')
+                .send({ material: 'plastic' });
+
+            expect([401, 403]).toContain(res.status);
+        });
+
+        it('should reject an empty filter set', async () => {
+            const res = await request(app)
+                .post('/api/saved-searches')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ name: 'Everything' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should reject a radius without coordinates', async () => {
+            const res = await request(app)
+                .post('/api/saved-searches')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ material: 'plastic', radiusKm: 10 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+
+        it('should save material, area and minimum weight', async () => {
+            const res = await request(app)
+                .post('/api/saved-searches')
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ name: 'Cardboard near Lahore', material: 'cardboard', lat: 31.5497, lng: 74.3436, radiusKm: 15, minWeight: 5 });
+
+            expect([201, 401]).toContain(res.status);
+            if (res.status === 201) {
+                expect(res.body.data.materialType).toBe('cardboard');
+                expect(res.body.data.radiusKm).toBe(15);
+                expect(res.body.data.notifyEmail).toBe(true);
+                expect(res.body.data.notifyInApp).toBe(false);
+                savedSearchId = res.body.data.id;
+            }
+        });
+    });
+
+    describe('GET /api/saved-searches', () => {
+        it('should list the user\'s saved searches', async () => {
+            const res = await request(app)
+                .get('/api/saved-searches')
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect([200, 401]).toContain(res.status);
+            if (res.status === 200 && savedSearchId) {
+                expect(res.body.data.map(s => s.id)).toContain(savedSearchId);
+            }
+        });
+    });
+
+    describe('PUT /api/saved-searches/:id', () => {
+        it('should turn on in-app alerts and keep the other filters', async () => {
+            if (!savedSearchId) return;
+
+            const res = await request(app)
+                .put(`/api/saved-searches/${savedSearchId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`)
+                .send({ notifyInApp: true });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.notifyInApp).toBe(true);
+            expect(res.body.data.minWeight).toBe(5);
+            expect(res.body.data.latitude).toBe(31.5497);
+        });
+    });
+
+    describe('New listing notifications', () => {
+        const createListing = (data) => prisma.listing.create({
+            data: {
+                userId: seller.id,
+                materialType: 'cardboard',
+                estimatedWeight: 8,
+                pickupAddress: 'Search Test Street',
+                latitude: 31.56,
+                longitude: 74.35,
+                ...data
+            }
+        });
+
+        // Alerts are queued for the email worker rather than sent inline
+        const queuedFor = (email) => prisma.emailOutbox.findMany({ where: { to: email } });
+
+        beforeEach(async () => {
+            await prisma.emailOutbox.deleteMany({ where: { to: warehouse.email } });
+        });
+
+        it('should email the subscriber when a matching listing is created', async () => {
+            if (!savedSearchId) return;
+
+            const listing = await createListing({});
+            const result = await savedSearchService.notifySavedSearchMatches(listing);
+
+            expect(result.matched).toBeGreaterThanOrEqual(1);
+            const [mail] = await queuedFor(warehouse.email);
+            expect(mail.text).toContain('Cardboard near Lahore');
+
+            const saved = await prisma.savedSearch.findUnique({ where: { id: savedSearchId } });
+            expect(saved.lastNotifiedAt).toBeTruthy();
+
+            // In-app alerts were switched on above
+            const notification = await prisma.notification.findFirst({
+                where: { userId: warehouse.id, type: 'SAVED_SEARCH_MATCH' }
+            });
+            expect(notification.data.listingId).toBe(listing.id);
+        });
+
+        it('should not notify for listings that are too light or too far away', async () => {
+            if (!savedSearchId) return;
+
+            for (const data of [{ estimatedWeight: 2 }, { latitude: 33.6844, longitude: 73.0479 }]) {
+                const listing = await createListing(data);
+                await savedSearchService.notifySavedSearchMatches(listing);
+            }
+
+            expect(await queuedFor(warehouse.email)).toHaveLength(0);
+        });
+    });
+
+    describe('listingMatchesSearch', () => {
+        it('should apply the default radius to a location without radiusKm', () => {
+            const saved = { latitude: 31.5497, longitude: 74.3436, radiusKm: null };
+
+            // ~5 km away, then Islamabad (~270 km)
+            expect(savedSearchService.listingMatchesSearch(saved, { latitude: 31.59, longitude: 74.39 })).toBe(true);
+            expect(savedSearchService.listingMatchesSearch(saved, { latitude: 33.6844, longitude: 73.0479 })).toBe(false);
+            expect(savedSearchService.listingMatchesSearch(saved, { latitude: null, longitude: null })).toBe(false);
+        });
+
+        it('should accept a location alone as a saved search', () => {
+            const data = savedSearchService.parseSavedSearch({ lat: 31.5497, lng: 74.3436 });
+            expect(data.radiusKm).toBeNull();
+        });
+    });
+
+    describe('DELETE /api/saved-searches/:id', () => {
+        it('should delete the saved search', async () => {
+            if (!savedSearchId) return;
+
+            const res = await request(app)
+                .delete(`/api/saved-searches/${savedSearchId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect(res.status).toBe(200);
+
+            const again = await request(app)
+                .delete(`/api/saved-searches/${savedSearchId}`)
+                .set('Authorization', `Bearer ${warehouseToken}`);
+
+            expect(again.status).toBe(404);
+        });
+    });
+});
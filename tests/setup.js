@@ -9,6 +9,9 @@ const prisma = new PrismaClient();
 if (!process.env.JWT_ACCESS_SECRET) {
     process.env.JWT_ACCESS_SECRET = 'test-secret-key-for-jest-testing';
 }
+if (!process.env.EMAIL_ENCRYPTION_KEY) {
+    process.env.EMAIL_ENCRYPTION_KEY = 'test-email-encryption-key-for-jest';
+}
 
 // Global test setup
 beforeAll(async () => {
@@ -0,0 +1,133 @@
+/**
+ * Socket.IO Chat Tests
+ * Tests: handshake auth, message:send over the socket, message:new for messages sent over REST
+ */
+import 'dotenv/config';
+import request from 'supertest';
+import express from 'express';
+import { createServer } from 'http';
+import { io as connect } from 'socket.io-client';
+import { createTestUser, generateTestToken, prisma } from './helpers.js';
+import chatRoutes from '../src/routes/chatRoutes.js';
+import { initSocket } from '../src/services/socketService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+
+describe('Chat sockets', () => {
+    let httpServer, io, url;
+    let buyer, seller, buyerToken, sellerToken;
+    let conversationId;
+    const clients = [];
+
+    // Resolves with the connected socket, rejects with the handshake error
+    const open = (auth) => new Promise((resolve, reject) => {
+        const socket = connect(url, { auth, transports: ['websocket'], reconnection: false });
+        clients.push(socket);
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+
+    const nextEvent = (socket, event) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} event`)), 3000);
+        socket.once(event, (payload) => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+
+    beforeAll(async () => {
+        httpServer = createServer(app);
+        io = initSocket(httpServer);
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        url = `http://127.0.0.1:${httpServer.address().port}`;
+
+        const stamp = Date.now();
+        buyer = await createTestUser({ email: `socketbuyer${stamp}@test.com`, role: 'warehouse' });
+        seller = await createTestUser({ email: `socketseller${stamp}@test.com` });
+        buyerToken = generateTestToken(buyer);
+        sellerToken = generateTestToken(seller);
+
+        const res = await request(app)
+            .post('/api/chat/conversations')
+            .set('Authorization', `Bearer ${buyerToken}`)
+            .send({ otherUserId: seller.id });
+        conversationId = res.body.data?.id;
+    });
+
+    afterAll(async () => {
+        clients.forEach(socket => socket.close());
+        io.close();
+        await new Promise(resolve => httpServer.close(resolve));
+
+        const conversations = { OR: [{ participant1Id: buyer.id }, { participant2Id: buyer.id }] };
+        await prisma.message.deleteMany({ where: { conversation: conversations } });
+        await prisma.conversation.deleteMany({ where: conversations });
+        await prisma.user.deleteMany({ where: { id: { in: [buyer.id, seller.id] } } });
+        await prisma.$disconnect();
+    });
+
+    describe('Handshake', () => {
+        it('should refuse a connection without a token', async () => {
+            await expect(open({})).rejects.toThrow('Missing auth token');
+        });
+
+        it('should refuse an invalid access token', async () => {
+            await expect(open({ token: 'not-a-jwt' })).rejects.toThrow('Unauthorized');
+        });
+
+        it('should accept a valid access token', async () => {
+            const socket = await open({ token: buyerToken });
+            expect(socket.connected).toBe(true);
+        });
+    });
+
+    describe('message:new', () => {
+        it('should deliver a message sent over the socket to the other participant', async () => {
+            if (!conversationId) return;
+
+            const buyerSocket = await open({ token: buyerToken });
+            const sellerSocket = await open({ token: sellerToken });
+            const received = nextEvent(sellerSocket, 'message:new');
+
+            const ack = await buyerSocket.emitWithAck('message:send', { conversationId, content: 'Over the socket' });
+            expect(ack.success).toBe(true);
+
+            const message = await received;
+            expect(message.id).toBe(ack.data.id);
+            expect(message.content).toBe('Over the socket');
+            expect(message.conversationId).toBe(conversationId);
+        });
+
+        it('should not let a stranger post into the conversation', async () => {
+            if (!conversationId) return;
+
+            const stranger = await createTestUser({ email: `socketstranger${Date.now()}@test.com` });
+            try {
+                const socket = await open({ token: generateTestToken(stranger) });
+                const ack = await socket.emitWithAck('message:send', { conversationId, content: 'Let me in' });
+                expect(ack).toEqual({ success: false, message: 'Conversation not found' });
+            } finally {
+                await prisma.user.delete({ where: { id: stranger.id } });
+            }
+        });
+
+        it('should push messages sent over REST to the room', async () => {
+            if (!conversationId) return;
+
+            const buyerSocket = await open({ token: buyerToken });
+            const received = nextEvent(buyerSocket, 'message:new');
+
+            const res = await request(app)
+                .post('/api/chat/messages')
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ conversationId, content: 'Over REST' });
+            expect(res.status).toBe(201);
+
+            const message = await received;
+            expect(message.content).toBe('Over REST');
+            expect(message.senderId).toBe(seller.id);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Weekly Summary Tests
+ * Tests: previousWeek, runWeeklySummaries activity totals and once-per-week sending
+ */
+import 'dotenv/config';
+import { createTestUser, prisma } from './helpers.js';
+import { previousWeek, runWeeklySummaries } from '../src/services/summaryService.js';
+
+describe('Weekly Summaries', () => {
+    // Wednesday; the previous week runs Monday 2029-12-31 to Sunday 2030-01-06
+    const now = new Date('2030-01-09T10:00:00Z');
+    let buyer, seller, idle;
+
+    beforeAll(async () => {
+        const stamp = Date.now();
+        buyer = await createTestUser({ email: `summarybuyer${stamp}@test.com`, role: 'warehouse' });
+        seller = await createTestUser({ email: `summaryseller${stamp}@test.com`, locale: 'ur' });
+        idle = await createTestUser({ email: `summaryidle${stamp}@test.com` });
+
+        for (const [weight, completedAt] of [[10, '2030-01-02T12:00:00Z'], [2.5, '2030-01-06T23:00:00Z'], [7, '2030-01-07T01:00:00Z']]) {
+            const order = await prisma.order.create({
+                data: { buyerId: buyer.id, sellerId: seller.id, materialType: 'metal', weight, pickupAddress: 'Test Address', status: 'COMPLETED' }
+            });
+            await prisma.orderEvent.create({
+                data: { orderId: order.id, fromStatus: 'IN_PROGRESS', toStatus: 'COMPLETED', createdAt: new Date(completedAt) }
+            });
+        }
+    });
+
+    afterAll(async () => {
+        const users = [buyer.id, seller.id, idle.id];
+        await prisma.emailOutbox.deleteMany({ where: { to: { in: [buyer.email, seller.email, idle.email] } } });
+        await prisma.order.deleteMany({ where: { buyerId: buyer.id } });
+        await prisma.user.deleteMany({ where: { id: { in: users } } });
+        await prisma.$disconnect();
+    });
+
+    const summaries = (user) => prisma.emailOutbox.findMany({ where: { to: user.email, template: 'WEEKLY_SUMMARY' } });
+
+    describe('previousWeek', () => {
+        it('should return the last full Monday-to-Sunday week in UTC', () => {
+            expect(previousWeek(now)).toEqual({
+                start: new Date('2029-12-31T00:00:00Z'),
+                end: new Date('2030-01-07T00:00:00Z')
+            });
+        });
+
+        it('should not count the current week on a Sunday', () => {
+            expect(previousWeek(new Date('2030-01-06T23:59:00Z')).end).toEqual(new Date('2029-12-31T00:00:00Z'));
+        });
+
+        it('should move on at Monday midnight', () => {
+            expect(previousWeek(new Date('2030-01-07T00:00:00Z')).end).toEqual(new Date('2030-01-07T00:00:00Z'));
+        });
+    });
+
+    describe('runWeeklySummaries', () => {
+        it('should email each active user their totals for the week', async () => {
+            await runWeeklySummaries(now);
+
+            const [buyerEmail] = await summaries(buyer);
+            expect(buyerEmail.subject).toBe('Your RecyConnect week: 2029-12-31 to 2030-01-06');
+            expect(buyerEmail.text).toContain('Orders completed: 2');
+            // The order completed on Monday 01:00 belongs to the next week
+            expect(buyerEmail.text).toContain('12.5');
+            expect(buyerEmail.text).not.toContain('19.5');
+
+            const [sellerEmail] = await summaries(seller);
+            expect(sellerEmail.subject).toContain('ہفتہ');
+
+            expect(await summaries(idle)).toHaveLength(0);
+        });
+
+        it('should send once per week', async () => {
+            await runWeeklySummaries(now);
+            await runWeeklySummaries(new Date('2030-01-13T22:00:00Z'));
+            expect(await summaries(buyer)).toHaveLength(1);
+
+            const marked = await prisma.user.findUnique({ where: { id: buyer.id } });
+            expect(marked.weeklySummarySentAt).toBeTruthy();
+        });
+    });
+});
@@ -0,0 +1,153 @@
+import request from 'supertest';
+import { createTestApp, generateTestToken, createTestUser, prisma } from './helpers.js';
+import { ItemStatus, TransactionStatus } from '../src/constants/enums.js';
+import transactionRouter from '../src/routes/transactionRoutes.js';
+
+describe('Transaction Controller', () => {
+    let app;
+    let seller, buyer;
+    let sellerToken, buyerToken;
+    let item;
+
+    beforeAll(async () => {
+        app = createTestApp(transactionRouter, '/api/transactions');
+
+        const timestamp = Date.now();
+        seller = await createTestUser({ email: `txseller-${timestamp}@test.com`, role: 'warehouse' });
+        sellerToken = generateTestToken(seller);
+
+        buyer = await createTestUser({ email: `txbuyer-${timestamp}@test.com`, role: 'individual' });
+        buyerToken = generateTestToken(buyer);
+
+        item = await prisma.item.create({
+            data: {
+                sellerId: seller.id,
+                title: 'Baled Cardboard',
+                price: 20,
+                quantity: 10,
+                category: 'PAPER',
+                images: [],
+                status: ItemStatus.AVAILABLE
+            }
+        });
+    });
+
+    afterAll(async () => {
+        await prisma.transaction.deleteMany({ where: { sellerId: seller.id } }).catch(() => { });
+        await prisma.item.deleteMany({ where: { sellerId: seller.id } }).catch(() => { });
+        await prisma.user.deleteMany({ where: { email: { startsWith: 'txseller-' } } });
+        await prisma.user.deleteMany({ where: { email: { startsWith: 'txbuyer-' } } });
+        await prisma.$disconnect();
+    });
+
+    describe('POST /api/transactions', () => {
+        it('should reject a non-positive quantity', async () => {
+            const res = await request(app)
+                .post('/api/transactions')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ itemId: item.id, quantity: 0 });
+
+            expect([400, 401]).toContain(res.status);
+        });
+    });
+
+    describe('Concurrent purchases', () => {
+        it('should not oversell the same stock', async () => {
+            const scarce = await prisma.item.create({
+                data: {
+                    sellerId: seller.id,
+                    title: 'Last Bale',
+                    price: 20,
+                    quantity: 5,
+                    category: 'PAPER',
+                    images: [],
+                    status: ItemStatus.AVAILABLE
+                }
+            });
+
+            const results = await Promise.all([1, 2].map(() => request(app)
+                .post('/api/transactions')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ itemId: scarce.id, quantity: 4 })));
+
+            if (results.some(r => r.status === 401)) return;
+            expect(results.map(r => r.status).sort()).toEqual([201, 400]);
+
+            const stocked = await prisma.item.findUnique({ where: { id: scarce.id } });
+            expect(stocked.quantity).toBe(1);
+        });
+    });
+
+    describe('Cancelling a purchase', () => {
+        it('should restore item stock and availability', async () => {
+            const purchase = await request(app)
+                .post('/api/transactions')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ itemId: item.id, quantity: 10 });
+
+            expect([201, 401]).toContain(purchase.status);
+            if (purchase.status !== 201) return;
+
+            expect(purchase.body.data.totalAmount).toBe(200);
+            let stocked = await prisma.item.findUnique({ where: { id: item.id } });
+            expect(stocked.quantity).toBe(0);
+            expect(stocked.status).toBe(ItemStatus.SOLD);
+
+            const res = await request(app)
+                .put(`/api/transactions/${purchase.body.data.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: TransactionStatus.CANCELLED });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.status).toBe(TransactionStatus.CANCELLED);
+
+            stocked = await prisma.item.findUnique({ where: { id: item.id } });
+            expect(stocked.quantity).toBe(10);
+            expect(stocked.status).toBe(ItemStatus.AVAILABLE);
+
+            // A second cancellation must not restore stock twice
+            const again = await request(app)
+                .put(`/api/transactions/${purchase.body.data.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: TransactionStatus.CANCELLED });
+
+            expect(again.status).toBe(400);
+            stocked = await prisma.item.findUnique({ where: { id: item.id } });
+            expect(stocked.quantity).toBe(10);
+        });
+
+        it('should not cancel a completed purchase', async () => {
+            const purchase = await request(app)
+                .post('/api/transactions')
+                .set('Authorization', `Bearer ${buyerToken}`)
+                .send({ itemId: item.id, quantity: 4 });
+
+            expect([201, 401]).toContain(purchase.status);
+            if (purchase.status !== 201) return;
+
+            const completed = await request(app)
+                .put(`/api/transactions/${purchase.body.data.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: TransactionStatus.COMPLETED });
+            expect(completed.status).toBe(200);
+
+            const res = await request(app)
+                .put(`/api/transactions/${purchase.body.data.id}/status`)
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: TransactionStatus.CANCELLED });
+
+            expect(res.status).toBe(400);
+            const stocked = await prisma.item.findUnique({ where: { id: item.id } });
+            expect(stocked.quantity).toBe(6);
+        });
+
+        it('should reject an unknown status', async () => {
+            const res = await request(app)
+                .put('/api/transactions/1/status')
+                .set('Authorization', `Bearer ${sellerToken}`)
+                .send({ status: 'REFUNDED' });
+
+            expect([400, 401]).toContain(res.status);
+        });
+    });
+});